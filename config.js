@@ -0,0 +1,58 @@
+/**
+ * Configuration
+ * Server settings, read from the environment once at startup. Shared by the server,
+ * HLSBuilder and the manifest validator.
+ */
+
+const CONFIG = {
+  port: process.env.PORT || 3001,
+  manifestPath: process.env.MANIFEST_PATH || './clips-manifest.json',
+  worksPath: process.env.WORKS_PATH || './works.json', // works served, see works.js
+  manifestWatch: process.env.MANIFEST_WATCH === 'true', // reload when the manifest file changes
+  manifestWatchInterval: 2000, // polling interval for MANIFEST_WATCH, in milliseconds
+  adminToken: process.env.ADMIN_TOKEN || null, // enables /admin endpoints (Bearer token)
+  r2BaseUrl: process.env.R2_BASE_URL || null, // e.g., 'https://pub-XXXX.r2.dev' or 'http://localhost:8080'
+  publicUrl: process.env.PUBLIC_URL || null, // this server's address for absolute URLs in exports; defaults to the request's
+  sessionTTL: 3600000, // 1 hour in milliseconds
+  sessionStore: process.env.SESSION_STORE || 'memory', // 'memory' or 'file'
+  sessionDir: process.env.SESSION_DIR || './sessions',
+  sessionExpireBy: process.env.SESSION_EXPIRE_BY || 'created', // 'created' or 'lastAccessed'
+  // 90kHz timestamp of the first clip's first frame, for the captions' X-TIMESTAMP-MAP
+  // (126000, 1.4s, is where ffmpeg's MPEG-TS muxer starts)
+  subtitleMpegts: process.env.SUBTITLE_MPEGTS ? Number(process.env.SUBTITLE_MPEGTS) : 126000,
+  maxPhraseLength: 10,
+  segmentationDefaults: {
+    staticPenalty: 10, // cost per word left to a static clip
+    phraseCost: 1, // cost per phrase clip (favors fewer, longer phrases)
+    availabilityBonus: 0.1 // reward per log2(1 + alternative clips) of a phrase
+  },
+  maxTextLength: 100000, // characters accepted in POST /generate
+  cleanupInterval: 300000, // 5 minutes
+  live: {
+    window: 120, // seconds of aired segments in each live playlist
+    lookahead: 60, // generate the next pass this many seconds before the current one ends
+    holdBack: 30, // seconds a new channel starts in, so players have something to buffer
+    idleTimeout: 600000, // drop channels whose playlist hasn't been fetched for 10 minutes
+    maxChannels: 50
+  },
+  // Clips around and between the text, served from hls_clips/static. A manifest's `segments`
+  // overrides these, and a work's own entries override the manifest's; null turns one off.
+  segments: {
+    opener: { filename: 'opener.ts', duration: 8.08 }, // title card before the text
+    closer: null, // after the text
+    interstitial: null // at each paragraph break in the text
+  },
+  exportFrameRate: 30, // frame rate for EDL/OTIO timecodes
+  render: {
+    clipsDir: process.env.CLIPS_DIR || './hls_clips', // local copy of the clip host (trimmed/, static/)
+    outputDir: process.env.RENDER_DIR || './renders',
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    maxQueued: 10, // renders waiting to start
+    ttl: 86400000, // keep finished renders for a day
+    timeout: 1800000 // give up on a render after 30 minutes
+  }
+};
+
+module.exports = {
+  CONFIG
+};
@@ -8,6 +8,19 @@ const API_URL = window.location.hostname === 'localhost'
   ? 'http://localhost:3001'
   : '';  // Same origin in production
 
+const QUERY = new URLSearchParams(window.location.search);
+
+// Work to perform, from ?work={slug}; the server's default work when absent
+const WORK_SLUG = QUERY.get('work');
+
+// ?live=1 plays a never-ending live channel instead of one finite pass
+const LIVE_MODE = QUERY.get('live') === '1';
+
+// ?kiosk=1 runs unattended: starts by itself, moves on to a new session at the end of each one
+// and starts over after stalls and errors. &hideControls=1 also hides the cursor and controls.
+const KIOSK_MODE = QUERY.get('kiosk') === '1';
+const KIOSK_HIDE_CONTROLS = KIOSK_MODE && QUERY.get('hideControls') === '1';
+
 const LOADING_STAGES = [
   { text: 'Analyzing text...', detail: 'Processing your input', progress: 20 },
   { text: 'Matching phrases...', detail: 'Finding available clips', progress: 40 },
@@ -17,6 +30,30 @@ const LOADING_STAGES = [
   { text: 'Ready!', detail: 'Loading player', progress: 100 }
 ];
 
+// Loading screen for each stage event from /generate/stream, with the stage's counts
+const STREAM_STAGES = {
+  tokenize: { text: 'Analyzing text...', detail: c => `${c.tokens} words and marks`, progress: 15 },
+  filter: { text: 'Filtering clips...', detail: c => `${c.removedClips} clips set aside`, progress: 25 },
+  match: { text: 'Matching phrases...', detail: c => `${c.phrases} phrases found (${c.phraseCoverage}% of words)`, progress: 45 },
+  select: { text: 'Selecting clips...', detail: c => `${c.clips} clips chosen`, progress: 65 },
+  build: { text: 'Assembling timeline...', detail: c => `${c.segments} segments, ${c.duration >= 60 ? `${Math.round(c.duration / 60)} minutes` : `${Math.round(c.duration)} seconds`}`, progress: 85 },
+  store: { text: 'Finalizing...', detail: () => 'Preparing playback', progress: 95 }
+};
+
+const POSITION_SAVE_INTERVAL = 5000; // how often playback updates the URL's t=
+
+const KIOSK = {
+  prefetchLead: 60, // seconds before the end of a session to generate the next one
+  watchdogInterval: 5000,
+  stallTimeout: 30000, // start over when playback hasn't advanced for this long
+  requestTimeout: 60000, // give up on a generation request after this long
+  idleTimeout: 90000, // start over when nothing has played for this long (loading, or ended without a handover)
+  retryDelay: 5000, // wait before starting over, doubled for each failure in a row
+  maxRetryDelay: 120000,
+  logKey: 'kioskFailures', // localStorage key of the failure log
+  maxLogEntries: 200
+};
+
 const MIN_LOADING_TIME = 3000; // Minimum 3 seconds
 const MAX_LOADING_TIME = 5000; // Maximum 5 seconds
 
@@ -26,6 +63,26 @@ let loadingInterval = null;
 let audioContext = null;
 let analyser = null;
 let animationId = null;
+let captionsEnabled = false;
+let sessionDetails = null;
+let minimapLayout = null;
+let nowPlayingEnabled = false;
+let nowPlayingClips = [];
+let nowPlayingIndex = -1;
+let transcriptClips = [];
+let activeTranscriptIndex = -1;
+let transcriptAnimationId = null;
+let transcriptScrollPausedUntil = 0;
+let renderPollTimer = null;
+let positionSavedAt = 0;
+let expiredLink = null;
+let kioskNext = null;
+let kioskRecovering = false;
+let kioskHalted = false; // after an error starting over can't fix
+let kioskFailureStreak = 0;
+let watchdogLastTime = -1;
+let watchdogLastProgressAt = 0;
+let watchdogWasPlaying = false;
 
 const elements = {
   inputContainer: document.getElementById('input-container'),
@@ -42,9 +99,17 @@ const elements = {
   sessionId: document.getElementById('session-id'),
   videoStats: document.getElementById('video-stats'),
   generateAnother: document.getElementById('generate-another'),
+  minimapContainer: document.querySelector('.minimap-container'),
+  minimapCanvas: document.getElementById('minimap-canvas'),
   minimapProgress: document.getElementById('minimap-progress'),
   playPauseBtn: document.getElementById('play-pause-btn'),
   fullscreenBtn: document.getElementById('fullscreen-btn'),
+  captionsBtn: document.getElementById('captions-btn'),
+  transcriptBtn: document.getElementById('transcript-btn'),
+  downloadBtn: document.getElementById('download-btn'),
+  transcriptPanel: document.getElementById('transcript-panel'),
+  transcriptList: document.getElementById('transcript-list'),
+  nowPlaying: document.getElementById('now-playing'),
   muteIndicator: document.getElementById('mute-indicator'),
   spectrogram: document.getElementById('spectrogram'),
 
@@ -54,14 +119,19 @@ const elements = {
   clipSourcesList: document.getElementById('clip-sources-list'),
 
   errorMessage: document.getElementById('error-message'),
-  tryAgain: document.getElementById('try-again')
+  tryAgain: document.getElementById('try-again'),
+
+  expiredContainer: document.getElementById('expired-container'),
+  expiredMessage: document.getElementById('expired-message'),
+  replaySeedBtn: document.getElementById('replay-seed'),
+  expiredNewBtn: document.getElementById('expired-new')
 };
 
 /**
  * Show a specific container and hide others
  */
 function showContainer(container) {
-  const containers = ['inputContainer', 'loadingContainer', 'playerContainer', 'errorContainer'];
+  const containers = ['inputContainer', 'loadingContainer', 'playerContainer', 'errorContainer', 'expiredContainer'];
 
   containers.forEach(name => {
     if (elements[name]) {
@@ -76,6 +146,7 @@ function showContainer(container) {
 
 /**
  * Animate loading sequence
+ * Canned stages over 3-5 seconds, for when the server's progress can't be streamed
  */
 async function animateLoading() {
   const startTime = Date.now();
@@ -111,43 +182,152 @@ async function animateLoading() {
   });
 }
 
+function setLoadingStage(text, detail, progress) {
+  elements.loadingStatus.textContent = text;
+  elements.loadingDetail.textContent = detail;
+  elements.progressFill.style.width = `${progress}%`;
+}
+
+/**
+ * Parse one Server-Sent Events block ("event: ...\ndata: ...")
+ */
+function parseServerEvent(block) {
+  let event = 'message';
+  const data = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  }
+
+  return { event, data: data.length > 0 ? JSON.parse(data.join('\n')) : null };
+}
+
+/**
+ * Generate through /generate/stream, showing each stage the server reports as it finishes
+ * Returns the /generate response, or null when streaming isn't available here (the caller
+ * then falls back to a plain request and the canned animation).
+ */
+async function streamGeneration(generatePath, body) {
+  if (typeof TextDecoder === 'undefined' || typeof ReadableStream === 'undefined') {
+    return null;
+  }
+
+  const response = await fetch(`${API_URL}${generatePath}/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal: kioskTimeoutSignal()
+  });
+
+  // Servers without the streaming route
+  if (response.status === 404 || response.status === 405) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Server error: ${response.status}`);
+  }
+  if (!response.body || !(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    return null;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      throw new Error('Generation stream ended early');
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const { event, data } = parseServerEvent(block);
+
+      if (event === 'stage' && STREAM_STAGES[data.stage]) {
+        const stage = STREAM_STAGES[data.stage];
+        setLoadingStage(stage.text, stage.detail(data), stage.progress);
+      } else if (event === 'done') {
+        reader.cancel();
+        setLoadingStage('Ready!', 'Loading player', 100);
+        return data;
+      } else if (event === 'error') {
+        reader.cancel();
+        throw new Error(data.error);
+      }
+    }
+  }
+}
+
+/**
+ * Generate with a plain request, under the canned loading animation
+ */
+async function requestGeneration(generatePath, body) {
+  const loadingPromise = animateLoading();
+
+  const response = await fetch(`${API_URL}${generatePath}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal: kioskTimeoutSignal()
+  });
+
+  if (!response.ok) {
+    throw new Error(`Server error: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  // Wait for minimum loading time
+  await loadingPromise;
+
+  return data;
+}
+
+/**
+ * API path for the selected work: /generate, /live, or /works/{slug}/...
+ */
+function workPath(endpoint) {
+  return WORK_SLUG ? `/works/${encodeURIComponent(WORK_SLUG)}/${endpoint}` : `/${endpoint}`;
+}
+
 /**
  * Generate video (uses fixed text from server)
+ * With a seed, replays that iteration's clip selection, starting at startTime.
  */
-async function generateVideo() {
+async function generateVideo({ seed = null, startTime = 0 } = {}) {
   // Show loading
   showContainer(elements.loadingContainer);
-  elements.progressFill.style.width = '0%';
-
-  // Start loading animation
-  const loadingPromise = animateLoading();
+  setLoadingStage(LOADING_STAGES[0].text, LOADING_STAGES[0].detail, 0);
 
   try {
-    // Call API (no text needed - server uses fixed text)
-    const response = await fetch(`${API_URL}/generate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
-    }
+    // Call API (no text needed - server uses the work's fixed text)
+    const generatePath = workPath(LIVE_MODE ? 'live' : 'generate');
+    const body = seed ? { seed } : {};
 
-    const data = await response.json();
+    // Live channels start at once, so only generation streams its progress
+    const data = (!LIVE_MODE && await streamGeneration(generatePath, body)) || await requestGeneration(generatePath, body);
 
     // Store session
     currentSession = data;
-
-    // Wait for minimum loading time
-    await loadingPromise;
+    writeDeepLink(startTime);
 
     // Small delay before showing player
     await new Promise(resolve => setTimeout(resolve, 300));
 
-    // Load video
-    loadVideo(data.playlistUrl, data.sessionId, data.stats);
+    // Load video (master playlist carries the subtitle track)
+    loadVideo(data.masterPlaylistUrl || data.playlistUrl, data.sessionId, data.stats, startTime);
 
   } catch (error) {
     console.error('Generation failed:', error);
@@ -162,13 +342,169 @@ async function generateVideo() {
   }
 }
 
+/**
+ * Read a deep link: #session={sessionId}&seed={seed}&t={seconds}
+ */
+function readDeepLink() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const time = Number(params.get('t'));
+
+  return {
+    sessionId: params.get('session'),
+    seed: params.get('seed'),
+    time: Number.isFinite(time) && time > 0 ? time : 0
+  };
+}
+
+/**
+ * Point the URL at the current session and playback position, without adding history entries
+ * The seed is only kept when generating it again with default options gives the same iteration
+ * (seedUrl carries no extra options), so a link outliving its session can still be watched.
+ */
+function writeDeepLink(time) {
+  if (!currentSession || !currentSession.sessionId) {
+    return;
+  }
+
+  const params = new URLSearchParams({ session: currentSession.sessionId });
+  if (currentSession.seedUrl && !currentSession.seedUrl.includes('?')) {
+    params.set('seed', currentSession.seed);
+  }
+  if (time >= 1) {
+    params.set('t', String(Math.floor(time)));
+  }
+
+  positionSavedAt = Date.now();
+  history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${params}`);
+}
+
+function clearDeepLink() {
+  history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+}
+
+/**
+ * The /generate stats, rebuilt from /session details
+ */
+function sessionStats(details) {
+  const textClips = details.script.filter(clip => clip.type !== 'interstitial');
+
+  return {
+    totalClips: details.clips,
+    phraseClips: textClips.filter(clip => clip.type === 'phrase').length,
+    staticClips: textClips.filter(clip => clip.type === 'static').length,
+    totalDuration: details.duration,
+    playbackDuration: details.playbackDuration
+  };
+}
+
+/**
+ * Reopen the player on a linked session, at the linked time
+ */
+async function restoreSession({ sessionId, seed, time }) {
+  showContainer(elements.loadingContainer);
+  setLoadingStage('Restoring iteration...', 'Fetching session', 50);
+
+  try {
+    const response = await fetch(`${API_URL}/session/${encodeURIComponent(sessionId)}`, { signal: kioskTimeoutSignal() });
+
+    if (response.status === 404) {
+      showExpired({ seed, time });
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const details = await response.json();
+
+    // Share the details with the transcript, minimap and About overlay
+    sessionDetails = { sessionId, promise: Promise.resolve(details) };
+
+    currentSession = {
+      sessionId,
+      work: details.work,
+      seed: details.seed,
+      seedUrl: details.seedUrl,
+      playlistUrl: `/${sessionId}.m3u8`,
+      masterPlaylistUrl: `/session/${sessionId}/master.m3u8`,
+      stats: sessionStats(details)
+    };
+
+    setLoadingStage('Ready!', 'Loading player', 100);
+    loadVideo(currentSession.masterPlaylistUrl, sessionId, currentSession.stats, time);
+
+  } catch (error) {
+    console.error('Restore failed:', error);
+    showError(`Failed to restore this iteration: ${error.message}`);
+  }
+}
+
+/**
+ * A linked session is gone (sessions expire after an hour); offer to replay it from its seed
+ */
+function showExpired({ seed, time }) {
+  expiredLink = { seed, time };
+
+  if (elements.replaySeedBtn) {
+    elements.replaySeedBtn.style.display = seed ? '' : 'none';
+  }
+  if (elements.expiredMessage) {
+    elements.expiredMessage.textContent = seed
+      ? 'The same clips can be selected again from its seed.'
+      : 'It was made from its own text, so it can\'t be selected again.';
+  }
+
+  showContainer(elements.expiredContainer);
+
+  // Nobody is there to choose: replay it if possible, after a moment to read the message
+  if (KIOSK_MODE) {
+    setTimeout(() => generateVideo(seed ? { seed, startTime: time } : {}), KIOSK.retryDelay);
+  }
+}
+
+/**
+ * Show the selected work's title and portrait in place of the default work's
+ */
+async function loadWork() {
+  if (!WORK_SLUG) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_URL}/works/${encodeURIComponent(WORK_SLUG)}`);
+
+    if (response.status === 404) {
+      showError(`Unknown work: ${WORK_SLUG}`);
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const work = await response.json();
+
+    document.title = work.title;
+    document.querySelectorAll('.landing-title, .about-title').forEach(el => {
+      el.textContent = work.title;
+    });
+
+    const portrait = document.querySelector('.landing-portrait');
+    if (portrait && work.image) {
+      portrait.src = work.image;
+      portrait.alt = work.author || work.title;
+    }
+  } catch (error) {
+    console.error('Failed to load work:', error);
+  }
+}
+
 /**
  * Load and play HLS video
  */
-function loadVideo(playlistUrl, sessionId, stats) {
+function loadVideo(playlistUrl, sessionId, stats, startTime = 0) {
   // Update session info (if element exists)
   if (elements.sessionId) {
-    elements.sessionId.textContent = sessionId;
+    elements.sessionId.textContent = sessionId || 'live';
   }
 
   // Update stats (if element exists)
@@ -188,7 +524,7 @@ function loadVideo(playlistUrl, sessionId, stats) {
       </div>
       <div class="stat">
         <span class="stat-label">Duration:</span>
-        <span class="stat-value">${stats.totalDuration.toFixed(1)}s</span>
+        <span class="stat-value">${(stats.playbackDuration ?? stats.totalDuration).toFixed(1)}s</span>
       </div>
     `;
   }
@@ -224,6 +560,9 @@ function loadVideo(playlistUrl, sessionId, stats) {
       maxBufferHole: 0.5,
       nudgeMaxRetry: 5,
 
+      // Resume a deep-linked position (-1: the start)
+      startPosition: startTime > 0 ? startTime : -1,
+
       // Disable unused features
       enableCEA708Captions: false,
       lowLatencyMode: false,
@@ -231,12 +570,13 @@ function loadVideo(playlistUrl, sessionId, stats) {
       emeEnabled: false
     });
 
+    hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, () => {
+      setCaptions(captionsEnabled);
+    });
+
     hls.on(Hls.Events.MANIFEST_PARSED, () => {
       console.log('HLS manifest loaded');
-      // Try to autoplay (may be blocked by browser)
-      elements.video.play().catch(e => {
-        console.log('Autoplay blocked - user needs to click play');
-      });
+      autoplay();
     });
 
     let mediaErrorRecoveryAttempts = 0;
@@ -244,6 +584,12 @@ function loadVideo(playlistUrl, sessionId, stats) {
     hls.on(Hls.Events.ERROR, (event, data) => {
       console.warn('HLS error:', data.type, data.details, data.fatal ? '(fatal)' : '');
 
+      // Unattended screens start over with a new session rather than recover in place
+      if (data.fatal && KIOSK_MODE) {
+        kioskRecover('hls-error', `${data.type}: ${data.details}`);
+        return;
+      }
+
       if (data.fatal) {
         switch(data.type) {
           case Hls.ErrorTypes.NETWORK_ERROR:
@@ -280,13 +626,18 @@ function loadVideo(playlistUrl, sessionId, stats) {
   } else if (elements.video.canPlayType('application/vnd.apple.mpegurl')) {
     // Native HLS support (Safari)
     elements.video.src = fullPlaylistUrl;
-    elements.video.addEventListener('loadedmetadata', () => {
-      elements.video.play().catch(e => {
-        console.log('Autoplay blocked');
-      });
+    elements.video.textTracks.addEventListener('addtrack', () => {
+      setCaptions(captionsEnabled);
     });
+    elements.video.addEventListener('loadedmetadata', () => {
+      setCaptions(captionsEnabled);
+      if (startTime > 0) {
+        elements.video.currentTime = startTime;
+      }
+      autoplay();
+    }, { once: true });
   } else {
-    showError('HLS is not supported in your browser');
+    showError('HLS is not supported in your browser', { retry: false });
     return;
   }
 
@@ -296,68 +647,54 @@ function loadVideo(playlistUrl, sessionId, stats) {
   // Setup spectrogram visualization
   setupSpectrogram();
 
-  // Update minimap progress line as video plays
-  const minimapContainer = document.querySelector('.minimap-container');
-
-  if (elements.minimapProgress && minimapContainer) {
-    // Update progress line position
-    elements.video.addEventListener('timeupdate', () => {
-      if (elements.video.duration > 0) {
-        const progress = elements.video.currentTime / elements.video.duration;
-        const containerHeight = minimapContainer.clientHeight;
-        const padding = 20; // Top/bottom padding to align with text content
-        const topPosition = padding + (progress * (containerHeight - padding * 2));
-        elements.minimapProgress.style.top = `${topPosition}px`;
-      }
-    });
-
-    // Make minimap clickable for seeking
-    let isSeeking = false;
+  // Live channels have no single session script to follow
+  if (!sessionId) {
+    return;
+  }
 
-    const seekToPosition = (e) => {
-      const rect = minimapContainer.getBoundingClientRect();
-      const y = e.clientY - rect.top;
-      const containerHeight = minimapContainer.clientHeight;
-      const padding = 20; // Top/bottom padding to align with text content
+  // Build the live transcript from the session script
+  loadTranscript(sessionId);
 
-      // Calculate progress (0 to 1)
-      let progress = (y - padding) / (containerHeight - padding * 2);
-      progress = Math.max(0, Math.min(1, progress)); // Clamp between 0 and 1
+  // Render the minimap from the session script
+  loadMinimap(sessionId);
 
-      // Seek video
-      if (elements.video.duration > 0) {
-        elements.video.currentTime = progress * elements.video.duration;
-      }
-    };
+  // Source captions follow the same script
+  loadNowPlaying(sessionId);
+}
 
-    minimapContainer.addEventListener('mousedown', (e) => {
-      isSeeking = true;
-      seekToPosition(e);
-      e.preventDefault();
-    });
+/**
+ * Try to autoplay (may be blocked by browser)
+ * A kiosk falls back to muted playback, which browsers allow without a click.
+ */
+function autoplay() {
+  elements.video.play().catch(() => {
+    if (!KIOSK_MODE || elements.video.muted) {
+      console.log('Autoplay blocked - user needs to click play');
+      return;
+    }
 
-    minimapContainer.addEventListener('mousemove', (e) => {
-      if (isSeeking) {
-        seekToPosition(e);
-      }
+    logKioskFailure('autoplay-blocked', 'playing muted');
+    elements.video.muted = true;
+    elements.video.play().catch(error => {
+      console.log('Muted autoplay blocked:', error.message);
     });
-
-    const stopSeeking = () => {
-      isSeeking = false;
-    };
-
-    minimapContainer.addEventListener('mouseup', stopSeeking);
-    minimapContainer.addEventListener('mouseleave', stopSeeking);
-    document.addEventListener('mouseup', stopSeeking);
-  }
+  });
 }
 
 /**
  * Show error message
+ * A kiosk starts over after the error unless retry is false (starting over can't help).
  */
-function showError(message) {
+function showError(message, { retry = true } = {}) {
   elements.errorMessage.textContent = message;
   showContainer(elements.errorContainer);
+
+  if (KIOSK_MODE && retry) {
+    kioskRecover('error', message);
+  } else if (KIOSK_MODE) {
+    kioskHalted = true;
+    logKioskFailure('fatal', message);
+  }
 }
 
 /**
@@ -366,6 +703,14 @@ function showError(message) {
 function reset() {
   // Clear state
   currentSession = null;
+  stopRenderPolling();
+  clearDeepLink();
+  sessionDetails = null;
+  minimapLayout = null;
+  nowPlayingClips = [];
+  updateNowPlaying();
+  clearTranscript();
+  drawMinimap();
 
   // Destroy HLS
   if (hls) {
@@ -390,6 +735,29 @@ if (landingClickable) {
 
 elements.generateAnother.addEventListener('click', reset);
 elements.tryAgain.addEventListener('click', reset);
+
+if (elements.replaySeedBtn) {
+  elements.replaySeedBtn.addEventListener('click', () => {
+    generateVideo({ seed: expiredLink.seed, startTime: expiredLink.time });
+  });
+}
+
+if (elements.expiredNewBtn) {
+  elements.expiredNewBtn.addEventListener('click', () => {
+    clearDeepLink();
+    generateVideo();
+  });
+}
+
+// Keep the URL's t= close to the playback position, so a reload or shared link resumes there
+elements.video.addEventListener('timeupdate', () => {
+  if (Date.now() - positionSavedAt >= POSITION_SAVE_INTERVAL) {
+    writeDeepLink(elements.video.currentTime);
+  }
+});
+elements.video.addEventListener('pause', () => writeDeepLink(elements.video.currentTime));
+elements.video.addEventListener('seeked', () => writeDeepLink(elements.video.currentTime));
+window.addEventListener('pagehide', () => writeDeepLink(elements.video.currentTime));
 if (elements.playPauseBtn) {
   elements.playPauseBtn.addEventListener('click', () => {
     if (elements.video.paused) {
@@ -425,6 +793,122 @@ if (elements.playPauseBtn) {
   });
 }
 
+/**
+ * Show or hide the subtitle track
+ * hls.js manages its own subtitle selection; native HLS (Safari) exposes text tracks directly
+ */
+function setCaptions(enabled) {
+  captionsEnabled = enabled;
+
+  if (hls) {
+    if (enabled && hls.subtitleTrack === -1 && hls.subtitleTracks.length > 0) {
+      hls.subtitleTrack = 0;
+    }
+    hls.subtitleDisplay = enabled;
+  } else {
+    Array.from(elements.video.textTracks).forEach(track => {
+      if (track.kind === 'subtitles' || track.kind === 'captions') {
+        track.mode = enabled ? 'showing' : 'hidden';
+      }
+    });
+  }
+
+  if (elements.captionsBtn) {
+    elements.captionsBtn.classList.toggle('active', enabled);
+    elements.captionsBtn.setAttribute('aria-pressed', String(enabled));
+  }
+}
+
+if (elements.captionsBtn) {
+  elements.captionsBtn.addEventListener('click', () => {
+    setCaptions(!captionsEnabled);
+  });
+}
+
+const RENDER_POLL_INTERVAL = 2000;
+
+/**
+ * Show render progress on the download button
+ */
+function setDownloadState(label, title, busy) {
+  elements.downloadBtn.textContent = label;
+  elements.downloadBtn.title = title;
+  elements.downloadBtn.classList.toggle('active', busy);
+}
+
+function stopRenderPolling() {
+  if (renderPollTimer) {
+    clearTimeout(renderPollTimer);
+    renderPollTimer = null;
+  }
+  if (elements.downloadBtn) {
+    setDownloadState('⤓', 'Download MP4', false);
+  }
+}
+
+/**
+ * Render the current session to MP4 on the server, poll until it is ready, then download it
+ */
+async function downloadSession() {
+  if (!currentSession || !currentSession.sessionId || renderPollTimer) {
+    return;
+  }
+
+  const sessionId = currentSession.sessionId;
+
+  try {
+    const response = await fetch(`${API_URL}/session/${sessionId}/render`, { method: 'POST' });
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const poll = async (job) => {
+      // The visitor moved on to another session
+      if (!currentSession || currentSession.sessionId !== sessionId) {
+        return;
+      }
+
+      if (job.status === 'done') {
+        renderPollTimer = null;
+        setDownloadState('⤓', 'Download MP4', false);
+        window.location.href = `${API_URL}${job.downloadUrl}`;
+        return;
+      }
+      if (job.status === 'failed') {
+        renderPollTimer = null;
+        setDownloadState('⤓', 'Render failed - try again', false);
+        console.error('Render failed:', job.error);
+        return;
+      }
+
+      const label = job.status === 'queued' ? '…' : `${Math.round(job.progress * 100)}%`;
+      setDownloadState(label, job.status === 'queued' ? `Queued (#${job.queuePosition})` : 'Rendering MP4...', true);
+
+      renderPollTimer = setTimeout(async () => {
+        try {
+          const status = await fetch(`${API_URL}${job.statusUrl}`);
+          if (!status.ok) {
+            throw new Error(`Server error: ${status.status}`);
+          }
+          poll(await status.json());
+        } catch (error) {
+          console.error('Render status failed:', error);
+          stopRenderPolling();
+        }
+      }, RENDER_POLL_INTERVAL);
+    };
+
+    poll(await response.json());
+  } catch (error) {
+    console.error('Render request failed:', error);
+    stopRenderPolling();
+  }
+}
+
+if (elements.downloadBtn) {
+  elements.downloadBtn.addEventListener('click', downloadSession);
+}
+
 function requestFullscreen(el) {
   (el.requestFullscreen || el.webkitRequestFullscreen || el.mozRequestFullScreen || el.msRequestFullscreen).call(el);
 }
@@ -466,6 +950,14 @@ if (elements.muteIndicator && elements.video) {
   });
 }
 
+if (elements.nowPlaying) {
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'n' || e.key === 'N') {
+      setNowPlaying(!nowPlayingEnabled);
+    }
+  });
+}
+
 function setupSpectrogram() {
   if (!elements.spectrogram || !elements.video) return;
 
@@ -555,32 +1047,41 @@ function closeAboutOverlay() {
 }
 
 /**
- * Extract identifier from clip filename
- * Filename format: NETWORK_DATE_TIME_Show_Title_start_end_phrase.ts
- * Example: CSPAN2_20180819_170000_Michael_Chertoff_Exploding_Data_1234_1294_phrase.ts
- * We need to extract the identifier (everything before the timestamp numbers and phrase)
+ * Fetch session details (script with clip timings), cached per session
+ * The pending request is shared so the transcript, minimap and About overlay fetch once.
  */
-function extractIdentifierFromFilename(filename) {
-  // Remove .ts extension
-  let name = filename.replace(/\.ts$/, '');
-
-  // Filename format: NETWORK_DATE_TIME_Title_Words_startFrame_endFrame_phrase
-  // We need everything up to the last three underscore-separated parts (start_end_phrase)
+function fetchSessionDetails(sessionId) {
+  if (!sessionDetails || sessionDetails.sessionId !== sessionId) {
+    const promise = fetch(`${API_URL}/session/${sessionId}`).then(response => {
+      if (!response.ok) {
+        throw new Error('Failed to fetch session details');
+      }
+      return response.json();
+    });
 
-  // Split by underscore
-  const parts = name.split('_');
+    sessionDetails = { sessionId, promise };
 
-  // Need at least 4 parts: network, date, time, and something after
-  if (parts.length < 4) {
-    return null;
+    // Allow a retry after a failed fetch
+    promise.catch(() => {
+      if (sessionDetails && sessionDetails.promise === promise) {
+        sessionDetails = null;
+      }
+    });
   }
 
-  // The last part is the phrase word, and the two before that are frame numbers
-  // Remove the last 3 parts (startFrame, endFrame, phrase)
-  const identifierParts = parts.slice(0, -3);
+  return sessionDetails.promise;
+}
 
-  // Reconstruct the identifier
-  return identifierParts.join('_');
+/**
+ * Describe a clip's source broadcast, e.g. "CSPAN2 · 2018-08-19 · Michael Chertoff Exploding Data · 1234–1294s"
+ */
+function formatProvenance(provenance) {
+  const parts = [provenance.network, provenance.airDate.slice(0, 10)];
+  if (provenance.showTitle) {
+    parts.push(provenance.showTitle);
+  }
+  parts.push(`${provenance.start}–${provenance.end}s`);
+  return parts.join(' · ');
 }
 
 /**
@@ -591,43 +1092,50 @@ async function populateClipSources() {
     return;
   }
 
+  if (!currentSession.sessionId) {
+    elements.clipSourcesList.innerHTML = '<p class="loading-sources">Clip sources change with every pass of the live channel.</p>';
+    return;
+  }
+
   const sessionId = currentSession.sessionId;
 
   try {
     // Fetch session details to get the script with all clips
-    const response = await fetch(`${API_URL}/session/${sessionId}`);
-    if (!response.ok) {
-      throw new Error('Failed to fetch session details');
-    }
-
-    const sessionData = await response.json();
+    const sessionData = await fetchSessionDetails(sessionId);
     const script = sessionData.script || [];
 
-    // Extract unique identifiers from phrase clips
-    const identifiers = new Set();
-
-    script.forEach(clip => {
-      if (clip.type === 'phrase' && clip.filename) {
-        const identifier = extractIdentifierFromFilename(clip.filename);
-        if (identifier) {
-          identifiers.add(identifier);
-        }
-      }
-    });
+    const sourced = script.filter(clip => clip.type === 'phrase' && clip.provenance);
 
     // Build the clip sources list
-    if (identifiers.size === 0) {
+    if (sourced.length === 0) {
       elements.clipSourcesList.innerHTML = '<p class="loading-sources">No external clips in this generation.</p>';
       return;
     }
 
-    // Create links for each unique identifier
-    const links = Array.from(identifiers).map(identifier => {
-      const url = `https://archive.org/details/${identifier}`;
-      return `<a href="${url}" target="_blank" rel="noopener noreferrer" class="clip-source-link">${identifier}</a>`;
+    // One deep link per clip, pointing at the moment in the broadcast it was cut from
+    const fragment = document.createDocumentFragment();
+
+    sourced.forEach(clip => {
+      const link = document.createElement('a');
+      link.href = clip.provenance.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.className = 'clip-source-link';
+
+      const phrase = document.createElement('span');
+      phrase.className = 'clip-source-phrase';
+      phrase.textContent = `"${clip.text}"`;
+
+      const source = document.createElement('span');
+      source.className = 'clip-source-detail';
+      source.textContent = formatProvenance(clip.provenance);
+
+      link.append(phrase, source);
+      fragment.appendChild(link);
     });
 
-    elements.clipSourcesList.innerHTML = links.join('');
+    elements.clipSourcesList.innerHTML = '';
+    elements.clipSourcesList.appendChild(fragment);
 
   } catch (error) {
     console.error('Failed to load clip sources:', error);
@@ -635,6 +1143,460 @@ async function populateClipSources() {
   }
 }
 
+/**
+ * Load the session script into the minimap
+ */
+async function loadMinimap(sessionId) {
+  if (!elements.minimapCanvas) {
+    return;
+  }
+
+  minimapLayout = null;
+  drawMinimap();
+
+  try {
+    const details = await fetchSessionDetails(sessionId);
+    minimapLayout = buildMinimapLayout(details);
+    drawMinimap();
+    updateMinimapProgress();
+  } catch (error) {
+    console.error('Failed to load minimap:', error);
+  }
+}
+
+/**
+ * Lay clips out top to bottom, each band's height proportional to its duration
+ * Positions are kept as fractions (0-1) of the minimap height so resizing only needs a redraw.
+ */
+function buildMinimapLayout(details) {
+  const script = details.script || [];
+  const openerDuration = details.openerDuration || 0;
+
+  const clips = [
+    { start: 0, end: openerDuration, type: 'opener', text: '' },
+    ...script.map(clip => ({ start: clip.start, end: clip.end, type: clip.type, text: clip.text }))
+  ];
+
+  if (details.closerDuration) {
+    const end = clips[clips.length - 1].end;
+    clips.push({ start: end, end: end + details.closerDuration, type: 'closer', text: '' });
+  }
+
+  const total = clips[clips.length - 1].end;
+
+  clips.forEach(clip => {
+    clip.top = total > 0 ? clip.start / total : 0;
+    clip.height = total > 0 ? (clip.end - clip.start) / total : 0;
+  });
+
+  return { clips, total };
+}
+
+/**
+ * Draw the minimap: phrase clips in pink, static word/punctuation clips in blue,
+ * each bar as wide as its text so the column reads like a page
+ */
+function drawMinimap() {
+  const canvas = elements.minimapCanvas;
+  if (!canvas) {
+    return;
+  }
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  if (!minimapLayout) {
+    return;
+  }
+
+  const colors = {
+    opener: 'rgba(255, 255, 255, 0.35)',
+    closer: 'rgba(255, 255, 255, 0.35)',
+    interstitial: 'rgba(255, 255, 255, 0.2)',
+    phrase: 'rgba(255, 179, 209, 0.85)',
+    static: 'rgba(102, 126, 234, 0.85)'
+  };
+
+  const charsPerLine = 40;
+
+  for (const clip of minimapLayout.clips) {
+    const textWidth = !clip.text
+      ? 1
+      : Math.min(1, Math.max(clip.text.length, 1) / charsPerLine);
+
+    ctx.fillStyle = colors[clip.type] || colors.static;
+    ctx.fillRect(0, clip.top * height, textWidth * width, Math.max(clip.height * height, 0.5));
+  }
+}
+
+/**
+ * Binary search for the last minimap clip whose key (start time or top fraction) is <= value
+ */
+function findMinimapClip(key, value) {
+  const clips = minimapLayout.clips;
+  let low = 0;
+  let high = clips.length - 1;
+  let found = 0;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (clips[mid][key] <= value) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return clips[found];
+}
+
+/**
+ * Map a playback time to a y position (in canvas pixels) through its clip
+ */
+function minimapTimeToY(time) {
+  const height = elements.minimapCanvas.clientHeight;
+  const clip = findMinimapClip('start', time);
+  const duration = clip.end - clip.start;
+  const within = duration > 0 ? Math.min(1, Math.max(0, (time - clip.start) / duration)) : 0;
+
+  return (clip.top + within * clip.height) * height;
+}
+
+/**
+ * Map a y position (in canvas pixels) back to a playback time through its clip
+ */
+function minimapYToTime(y) {
+  const height = elements.minimapCanvas.clientHeight;
+  const fraction = Math.max(0, Math.min(1, y / height));
+  const clip = findMinimapClip('top', fraction);
+  const within = clip.height > 0 ? Math.min(1, (fraction - clip.top) / clip.height) : 0;
+
+  return clip.start + within * (clip.end - clip.start);
+}
+
+function updateMinimapProgress() {
+  if (!minimapLayout || !elements.minimapProgress) {
+    return;
+  }
+
+  const y = minimapTimeToY(elements.video.currentTime);
+  elements.minimapProgress.style.top = `${elements.minimapCanvas.offsetTop + y}px`;
+}
+
+if (elements.minimapCanvas && elements.minimapContainer) {
+  elements.video.addEventListener('timeupdate', updateMinimapProgress);
+
+  // Make minimap clickable for seeking
+  let isSeeking = false;
+
+  const seekToPosition = (e) => {
+    if (!minimapLayout) {
+      return;
+    }
+
+    const rect = elements.minimapCanvas.getBoundingClientRect();
+    elements.video.currentTime = minimapYToTime(e.clientY - rect.top);
+    updateMinimapProgress();
+  };
+
+  elements.minimapContainer.addEventListener('mousedown', (e) => {
+    isSeeking = true;
+    seekToPosition(e);
+    e.preventDefault();
+  });
+
+  elements.minimapContainer.addEventListener('mousemove', (e) => {
+    if (isSeeking) {
+      seekToPosition(e);
+    }
+  });
+
+  const stopSeeking = () => {
+    isSeeking = false;
+  };
+
+  elements.minimapContainer.addEventListener('mouseup', stopSeeking);
+  elements.minimapContainer.addEventListener('mouseleave', stopSeeking);
+  document.addEventListener('mouseup', stopSeeking);
+
+  // Canvas size follows the layout, so redraw when it changes
+  const redraw = () => {
+    drawMinimap();
+    updateMinimapProgress();
+  };
+  window.addEventListener('resize', redraw);
+  document.addEventListener('fullscreenchange', redraw);
+  document.addEventListener('webkitfullscreenchange', redraw);
+}
+
+/**
+ * Load the session script for the "now playing" source caption
+ */
+async function loadNowPlaying(sessionId) {
+  if (!elements.nowPlaying) {
+    return;
+  }
+
+  nowPlayingClips = [];
+  updateNowPlaying();
+
+  try {
+    const details = await fetchSessionDetails(sessionId);
+    nowPlayingClips = details.script || [];
+    updateNowPlaying();
+  } catch (error) {
+    console.error('Failed to load source captions:', error);
+  }
+}
+
+/**
+ * Fallback when a clip has no server provenance: network and date from the filename
+ * (NETWORK_YYYYMMDD_HHMMSS_...)
+ */
+function parseFilenameSource(filename) {
+  const match = filename && filename.match(/^([A-Za-z0-9]+)_(\d{4})(\d{2})(\d{2})_\d{6}_/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    network: match[1],
+    airDate: `${match[2]}-${match[3]}-${match[4]}`,
+    showTitle: null
+  };
+}
+
+function setNowPlaying(enabled) {
+  nowPlayingEnabled = enabled;
+  nowPlayingIndex = -1;
+  updateNowPlaying();
+}
+
+/**
+ * Show the broadcast the current clip came from as a lower third
+ * Hidden during the opener and static (synthesized) clips
+ */
+function updateNowPlaying() {
+  if (!elements.nowPlaying) {
+    return;
+  }
+
+  const index = nowPlayingEnabled ? findClipIndex(nowPlayingClips, elements.video.currentTime) : -1;
+  if (index === nowPlayingIndex) {
+    return;
+  }
+  nowPlayingIndex = index;
+
+  const clip = nowPlayingClips[index];
+  const source = clip && clip.type === 'phrase'
+    ? (clip.provenance || parseFilenameSource(clip.filename))
+    : null;
+
+  if (!source) {
+    elements.nowPlaying.classList.remove('active');
+    return;
+  }
+
+  elements.nowPlaying.querySelector('.now-playing-network').textContent = source.network;
+  elements.nowPlaying.querySelector('.now-playing-title').textContent = source.showTitle || '';
+  elements.nowPlaying.querySelector('.now-playing-date').textContent = source.airDate.slice(0, 10);
+  elements.nowPlaying.classList.add('active');
+}
+
+if (elements.nowPlaying) {
+  elements.video.addEventListener('timeupdate', updateNowPlaying);
+}
+
+/**
+ * Load the session script into the transcript panel
+ */
+async function loadTranscript(sessionId) {
+  if (!elements.transcriptList) {
+    return;
+  }
+
+  clearTranscript();
+  elements.transcriptList.innerHTML = '<p class="loading-sources">Loading transcript...</p>';
+
+  try {
+    const details = await fetchSessionDetails(sessionId);
+    // Interstitials have no text; their gaps stay on the timeline through each clip's start
+    renderTranscript((details.script || []).filter(clip => clip.type !== 'interstitial'));
+    updateTranscript();
+  } catch (error) {
+    console.error('Failed to load transcript:', error);
+    elements.transcriptList.innerHTML = '<p class="loading-sources">Unable to load transcript.</p>';
+  }
+}
+
+/**
+ * Render one span per clip; punctuation attaches to the preceding word
+ */
+function renderTranscript(script) {
+  const fragment = document.createDocumentFragment();
+
+  transcriptClips = script.map((clip, index) => {
+    const isPunctuation = /^[^\w\s]+$/.test(clip.text);
+    if (index > 0 && !isPunctuation) {
+      fragment.appendChild(document.createTextNode(' '));
+    }
+
+    const span = document.createElement('span');
+    span.className = `transcript-clip ${clip.type}`;
+    span.textContent = clip.text;
+    span.dataset.index = index;
+    fragment.appendChild(span);
+
+    return { start: clip.start, end: clip.end, element: span };
+  });
+
+  elements.transcriptList.innerHTML = '';
+  elements.transcriptList.appendChild(fragment);
+}
+
+function clearTranscript() {
+  transcriptClips = [];
+  activeTranscriptIndex = -1;
+  if (elements.transcriptList) {
+    elements.transcriptList.innerHTML = '';
+  }
+}
+
+/**
+ * Find the clip playing at a given time (last clip starting at or before it)
+ * Clips must be sorted by start; returns -1 before the first clip (i.e. during the opener)
+ */
+function findClipIndex(clips, time) {
+  let low = 0;
+  let high = clips.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (clips[mid].start <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Highlight the clip under the playhead and keep it centered in the panel
+ */
+function updateTranscript() {
+  if (transcriptClips.length === 0) {
+    return;
+  }
+
+  const index = findClipIndex(transcriptClips, elements.video.currentTime);
+  if (index === activeTranscriptIndex) {
+    return;
+  }
+
+  if (activeTranscriptIndex >= 0) {
+    transcriptClips[activeTranscriptIndex].element.classList.remove('active');
+  }
+  activeTranscriptIndex = index;
+
+  if (index < 0) {
+    return;
+  }
+
+  const element = transcriptClips[index].element;
+  element.classList.add('active');
+
+  // Don't fight the user while they scroll the transcript themselves
+  if (Date.now() < transcriptScrollPausedUntil) {
+    return;
+  }
+
+  const list = elements.transcriptList;
+  list.scrollTo({
+    top: element.offsetTop - list.clientHeight / 2 + element.offsetHeight / 2,
+    behavior: 'smooth'
+  });
+}
+
+function setTranscriptVisible(visible) {
+  if (!elements.transcriptPanel) {
+    return;
+  }
+
+  elements.transcriptPanel.classList.toggle('active', visible);
+
+  if (elements.transcriptBtn) {
+    elements.transcriptBtn.classList.toggle('active', visible);
+    elements.transcriptBtn.setAttribute('aria-pressed', String(visible));
+  }
+
+  if (visible) {
+    // Force a re-center now that the panel has layout
+    activeTranscriptIndex = -1;
+    updateTranscript();
+  }
+}
+
+if (elements.transcriptList) {
+  // timeupdate only fires a few times a second, so follow playback per frame while playing
+  const followPlayback = () => {
+    updateTranscript();
+    transcriptAnimationId = requestAnimationFrame(followPlayback);
+  };
+
+  elements.video.addEventListener('play', () => {
+    if (!transcriptAnimationId) {
+      followPlayback();
+    }
+  });
+
+  elements.video.addEventListener('pause', () => {
+    if (transcriptAnimationId) {
+      cancelAnimationFrame(transcriptAnimationId);
+      transcriptAnimationId = null;
+    }
+  });
+
+  elements.video.addEventListener('seeked', updateTranscript);
+
+  elements.transcriptList.addEventListener('wheel', () => {
+    transcriptScrollPausedUntil = Date.now() + 3000;
+  });
+
+  // Clicking any word seeks to the start of its clip
+  elements.transcriptList.addEventListener('click', (e) => {
+    const span = e.target.closest('.transcript-clip');
+    if (!span) {
+      return;
+    }
+
+    const clip = transcriptClips[Number(span.dataset.index)];
+    if (clip) {
+      transcriptScrollPausedUntil = 0;
+      elements.video.currentTime = clip.start;
+      updateTranscript();
+    }
+  });
+}
+
+if (elements.transcriptBtn) {
+  elements.transcriptBtn.addEventListener('click', () => {
+    setTranscriptVisible(!elements.transcriptPanel.classList.contains('active'));
+  });
+}
+
 if (elements.aboutBtn) {
   elements.aboutBtn.addEventListener('click', openAboutOverlay);
 }
@@ -657,6 +1619,197 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+/**
+ * Failures logged on this screen, oldest first
+ * Kept in localStorage across reloads; call readKioskLog() from the console to read them.
+ */
+function readKioskLog() {
+  try {
+    return JSON.parse(localStorage.getItem(KIOSK.logKey)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function clearKioskLog() {
+  localStorage.removeItem(KIOSK.logKey);
+}
+
+function logKioskFailure(reason, detail = '') {
+  const entry = {
+    at: new Date().toISOString(),
+    reason,
+    detail,
+    sessionId: (currentSession && currentSession.sessionId) || null,
+    position: Math.round(elements.video.currentTime || 0)
+  };
+
+  console.warn('Kiosk failure:', entry);
+
+  try {
+    const log = readKioskLog();
+    log.push(entry);
+    localStorage.setItem(KIOSK.logKey, JSON.stringify(log.slice(-KIOSK.maxLogEntries)));
+  } catch (error) {
+    // Storage full or disabled: the console still has it
+    console.error('Failed to write kiosk log:', error);
+  }
+}
+
+/**
+ * In kiosk mode, a signal that aborts a request after requestTimeout, so a server that never
+ * answers can't hold the screen; undefined otherwise (no timeout)
+ */
+function kioskTimeoutSignal() {
+  if (!KIOSK_MODE) {
+    return undefined;
+  }
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), KIOSK.requestTimeout);
+  return controller.signal;
+}
+
+/**
+ * Generate the session after the current one in the background, leaving the player alone
+ */
+function prefetchNextSession() {
+  const promise = fetch(`${API_URL}${workPath('generate')}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: '{}',
+    signal: kioskTimeoutSignal()
+  }).then(response => {
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+    return response.json();
+  });
+
+  kioskNext = { after: currentSession.sessionId, promise };
+  promise.catch(error => logKioskFailure('prefetch', error.message));
+}
+
+/**
+ * At the end of a session, play the pre-generated next one straight away
+ * Without one (it failed, or never started), generate as usual.
+ */
+async function kioskHandover() {
+  const next = kioskNext && currentSession && kioskNext.after === currentSession.sessionId ? kioskNext : null;
+  kioskNext = null;
+
+  const data = next ? await next.promise.catch(() => null) : null;
+  if (!data) {
+    generateVideo();
+    return;
+  }
+
+  stopRenderPolling();
+  currentSession = data;
+  writeDeepLink(0);
+  loadVideo(data.masterPlaylistUrl || data.playlistUrl, data.sessionId, data.stats);
+}
+
+/**
+ * Log a failure and start over with a new session, waiting longer after each failure in a row
+ */
+function kioskRecover(reason, detail) {
+  if (kioskRecovering) {
+    return;
+  }
+
+  kioskRecovering = true;
+  kioskNext = null;
+  kioskFailureStreak++;
+  logKioskFailure(reason, detail);
+
+  if (hls) {
+    hls.destroy();
+    hls = null;
+  }
+
+  const delay = Math.min(KIOSK.retryDelay * 2 ** (kioskFailureStreak - 1), KIOSK.maxRetryDelay);
+  console.log(`Kiosk: starting over in ${delay / 1000}s`);
+
+  setTimeout(() => {
+    kioskRecovering = false;
+    generateVideo();
+  }, delay);
+}
+
+/**
+ * Start over when the player is showing but playback hasn't moved for stallTimeout
+ * (stalled buffering, a frozen decoder, or a pause nobody will undo), or when nothing has
+ * played for idleTimeout (a generation or handover that never finished)
+ */
+function kioskWatchdog() {
+  const now = Date.now();
+  const time = elements.video.currentTime;
+  const playing = elements.playerContainer.classList.contains('active') && !elements.video.ended;
+
+  // Each switch between playing and not restarts the clock
+  if (kioskHalted || kioskRecovering || playing !== watchdogWasPlaying || (playing && time !== watchdogLastTime)) {
+    if (playing && watchdogWasPlaying && time > watchdogLastTime && watchdogLastTime >= 0) {
+      kioskFailureStreak = 0;
+    }
+    watchdogWasPlaying = playing;
+    watchdogLastTime = time;
+    watchdogLastProgressAt = now;
+    return;
+  }
+
+  if (playing && now - watchdogLastProgressAt > KIOSK.stallTimeout) {
+    kioskRecover('stall', `no progress at ${Math.round(time)}s for ${KIOSK.stallTimeout / 1000}s`);
+  } else if (!playing && now - watchdogLastProgressAt > KIOSK.idleTimeout) {
+    const where = elements.video.ended ? ' after the session ended' : '';
+    kioskRecover('stall', `nothing played for ${KIOSK.idleTimeout / 1000}s${where}`);
+  }
+}
+
+if (KIOSK_MODE) {
+  document.body.classList.add('kiosk-mode');
+  if (KIOSK_HIDE_CONTROLS) {
+    document.body.classList.add('kiosk-hide-controls');
+  }
+
+  // Live channels never end, so only finite sessions hand over
+  if (!LIVE_MODE) {
+    elements.video.addEventListener('timeupdate', () => {
+      const remaining = elements.video.duration - elements.video.currentTime;
+      const prefetched = kioskNext && currentSession && kioskNext.after === currentSession.sessionId;
+
+      if (currentSession && currentSession.sessionId && !prefetched && remaining < KIOSK.prefetchLead) {
+        prefetchNextSession();
+      }
+    });
+
+    elements.video.addEventListener('ended', kioskHandover);
+  }
+
+  setInterval(kioskWatchdog, KIOSK.watchdogInterval);
+}
+
+if (LIVE_MODE) {
+  document.body.classList.add('live-mode');
+}
+
+loadWork();
+
+// Open a linked iteration directly: its session while it lasts, otherwise its seed
+const deepLink = readDeepLink();
+if (!LIVE_MODE && deepLink.sessionId) {
+  restoreSession(deepLink);
+} else if (!LIVE_MODE && deepLink.seed) {
+  generateVideo({ seed: deepLink.seed, startTime: deepLink.time });
+} else if (KIOSK_MODE) {
+  // No landing click on an unattended screen
+  generateVideo();
+}
+
 console.log('Lives of Infamous Men - Video Generator initialized');
 console.log('API URL:', API_URL);
+console.log('Work:', WORK_SLUG || '(default)');
+console.log('Mode:', LIVE_MODE ? 'live' : 'single pass', KIOSK_MODE ? '(kiosk)' : '');
 console.log('Uses fixed text with session-based randomization');
\ No newline at end of file
@@ -0,0 +1,822 @@
+/**
+ * HLS Builder
+ * Loads a clip manifest and turns text into a playlist: tokenizing, phrase matching,
+ * clip selection and the M3U8 itself. One builder serves every work that shares its manifest.
+ */
+
+const fs = require('fs');
+const { CONFIG } = require('./config');
+const { createSelectionStrategy } = require('./selection-strategies');
+const { normalizeCharacters, normalizeAndTokenize, paragraphBreaks } = require('./tokenizer');
+const { parseClipFilename, isCompactManifest, expandManifest } = require('./manifest-format');
+const { PhraseTrie } = require('./phrase-trie');
+
+const SEGMENTATION_MODES = ['greedy', 'optimal'];
+
+const SEGMENT_NAMES = ['opener', 'closer', 'interstitial'];
+
+class HLSBuilder {
+  constructor(manifestPath) {
+    console.log(`Loading manifest from ${manifestPath}...`);
+
+    try {
+      const manifestData = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+      // Either the JSON manifest or the compact format (see manifest-format.js)
+      this.manifestFormat = isCompactManifest(manifestData) ? 'compact' : 'json';
+      this.manifest = this.manifestFormat === 'compact' ? expandManifest(manifestData) : manifestData;
+      this.manifestPath = manifestPath;
+      this.loadedAt = new Date().toISOString();
+
+      this.phraseMap = this.manifest.phraseMap || {};
+      this.phraseClips = this.manifest.phraseClips || {};
+      this.staticClips = this.manifest.staticClips || {};
+
+      // Matchable phrases: listed in phraseMap with clips, and never spanning punctuation
+      // (hasOwn, so a compact manifest's URLs aren't built just to check the listing)
+      this.phraseTrie = new PhraseTrie(
+        Object.keys(this.phraseClips).filter(phrase =>
+          Object.hasOwn(this.phraseMap, phrase) &&
+          this.phraseClips[phrase].length > 0 &&
+          !phrase.split(' ').some(token => /^[^\w\s]+$/.test(token))
+        )
+      );
+
+      this.baseUrl = CONFIG.r2BaseUrl || '/hls_clips/';
+
+      // Parsed filename metadata, keyed by filename (filled lazily)
+      this.sourceCache = new Map();
+
+      this.fixedText = this.manifest.fixedText;
+      this.fixedTokens = this.manifest.fixedTokens;
+      this.fixedBreaks = this.fixedText ? paragraphBreaks(this.fixedText) : [];
+      this.segments = resolveSegments(this.manifest.segments, CONFIG.segments);
+
+      console.log(`Manifest loaded successfully (${this.manifestFormat} format):`);
+      console.log(`  - ${Object.keys(this.phraseMap).length} phrases`);
+      console.log(`  - ${Object.keys(this.phraseClips).length} phrases with clips`);
+      console.log(`  - ${this.phraseTrie.size} matchable phrases`);
+      console.log(`  - ${Object.keys(this.staticClips.words || {}).length} word clips`);
+      console.log(`  - ${Object.keys(this.staticClips.punctuation || {}).length} punctuation clips`);
+
+      if (this.fixedTokens) {
+        console.log(`  - Fixed text: ${this.fixedTokens.length} tokens`);
+      } else {
+        console.warn(`  ⚠ No fixed text in manifest - will require text input`);
+      }
+
+    } catch (error) {
+      console.error(`Failed to load manifest: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize and tokenize text (ported from Python, see tokenizer.js)
+   */
+  normalizeAndTokenize(text) {
+    return normalizeAndTokenize(text);
+  }
+
+  /**
+   * Greedy longest-match phrase matching (ported from Python), via the phrase trie
+   */
+  greedyMatchPhrases(tokens, phraseClips = this.phraseClips) {
+    const matches = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+      // Skip punctuation tokens
+      if (/^[^\w\s]+$/.test(tokens[i])) {
+        i++;
+        continue;
+      }
+
+      // Longest phrase starting here that still has clips in this pool
+      const candidates = this.phraseTrie.prefixesAt(tokens, i, CONFIG.maxPhraseLength);
+      let bestMatch = null;
+      let bestLength = 0;
+
+      for (let k = candidates.length - 1; k >= 0; k--) {
+        if (phraseClips[candidates[k].phrase]?.length > 0) {
+          bestMatch = candidates[k].phrase;
+          bestLength = candidates[k].length;
+          break;
+        }
+      }
+
+      if (bestMatch) {
+        matches.push({
+          phrase: bestMatch,
+          start: i,
+          end: i + bestLength
+        });
+        i += bestLength;
+      } else {
+        i++;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Optimal phrase segmentation (dynamic programming)
+   * Within each punctuation-delimited span, picks the split minimizing
+   *   staticPenalty * static words + phraseCost * phrase clips - availabilityBonus * log2(1 + alternatives)
+   * With the defaults this covers as many words with phrase clips as possible,
+   * then prefers fewer, longer phrases, then phrases with more clips to choose from.
+   */
+  optimalMatchPhrases(tokens, phraseClips = this.phraseClips, options = {}) {
+    const weights = { ...CONFIG.segmentationDefaults, ...options };
+    const matches = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+      // Skip punctuation tokens
+      if (/^[^\w\s]+$/.test(tokens[i])) {
+        i++;
+        continue;
+      }
+
+      // Find the end of this run of word tokens
+      let end = i;
+      while (end < tokens.length && !/^[^\w\s]+$/.test(tokens[end])) {
+        end++;
+      }
+
+      matches.push(...this.segmentSpan(tokens, i, end, phraseClips, weights));
+      i = end;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Minimum-cost segmentation of tokens[start, end), all word tokens
+   */
+  segmentSpan(tokens, start, end, phraseClips, { staticPenalty, phraseCost, availabilityBonus }) {
+    const length = end - start;
+    const cost = new Array(length + 1).fill(0);
+    const choice = new Array(length).fill(null);
+
+    // Work backwards: cost[k] is the best cost of tokens[start + k, end)
+    for (let k = length - 1; k >= 0; k--) {
+      cost[k] = staticPenalty + cost[k + 1];
+      choice[k] = null;
+
+      // Longest first, so ties go to longer phrases
+      const maxLen = Math.min(CONFIG.maxPhraseLength, length - k);
+      const candidates = this.phraseTrie.prefixesAt(tokens, start + k, maxLen);
+
+      for (let c = candidates.length - 1; c >= 0; c--) {
+        const { phrase: candidate, length: len } = candidates[c];
+        const clips = phraseClips[candidate];
+
+        if (!clips || clips.length === 0) {
+          continue;
+        }
+
+        const total = phraseCost - availabilityBonus * Math.log2(1 + clips.length) + cost[k + len];
+        if (total < cost[k] || (total === cost[k] && choice[k] === null)) {
+          cost[k] = total;
+          choice[k] = { phrase: candidate, length: len };
+        }
+      }
+    }
+
+    const matches = [];
+    let k = 0;
+
+    while (k < length) {
+      if (choice[k]) {
+        matches.push({ phrase: choice[k].phrase, start: start + k, end: start + k + choice[k].length });
+        k += choice[k].length;
+      } else {
+        k++;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Match phrases using the requested segmentation mode ('greedy' or 'optimal')
+   */
+  matchPhrases(tokens, segmentation = 'greedy', phraseClips = this.phraseClips, options = {}) {
+    return segmentation === 'optimal'
+      ? this.optimalMatchPhrases(tokens, phraseClips, options)
+      : this.greedyMatchPhrases(tokens, phraseClips);
+  }
+
+  /**
+   * Summarize how many word tokens a set of matches covers with phrase clips
+   */
+  summarizeMatches(tokens, matches) {
+    const wordTokens = tokens.filter(token => !/^[^\w\s]+$/.test(token)).length;
+    const phraseTokens = matches.reduce((sum, match) => sum + (match.end - match.start), 0);
+
+    return {
+      phrases: matches.length,
+      phraseTokens,
+      staticWords: wordTokens - phraseTokens,
+      phraseCoverage: wordTokens > 0 ? Math.round((phraseTokens / wordTokens) * 1000) / 10 : 0
+    };
+  }
+
+  /**
+   * Estimate word duration (ported from Python)
+   */
+  estimateWordDuration(word) {
+    // Punctuation gets short duration
+    if (/^[^\w\s]+$/.test(word)) {
+      return ['.', '!', '?'].includes(word) ? 0.15 : 0.10;
+    }
+
+    // Regular words: estimate by character count
+    const cleanWord = word.replace(/[^\w]/g, '');
+    const estimated = cleanWord.length * 0.08;
+    return Math.max(0.3, estimated);
+  }
+
+  /**
+   * Select clip for phrase with session-based randomization
+   */
+  selectClip(availableClips, usedClips, seedStr, strategy = createSelectionStrategy('uniform'), phrase = null) {
+    if (!availableClips || availableClips.length === 0) {
+      return null;
+    }
+
+    // Prefer unused clips
+    const unused = availableClips.filter(clip => !usedClips.has(clip.filename));
+    const pool = unused.length > 0 ? unused : availableClips;
+
+    // Seeded selection, delegated to the strategy
+    const source = (clip) => this.clipSource(clip.filename, phrase);
+    const selected = strategy.pick(pool, { seedStr, source });
+
+    if (strategy.record) {
+      strategy.record(selected, source(selected));
+    }
+
+    usedClips.add(selected.filename);
+
+    return selected;
+  }
+
+  /**
+   * Network/date/program metadata parsed from a clip filename, cached
+   */
+  clipSource(filename, phrase = null) {
+    if (!this.sourceCache.has(filename)) {
+      this.sourceCache.set(filename, parseClipFilename(filename, phrase));
+    }
+    return this.sourceCache.get(filename);
+  }
+
+  /**
+   * Restrict phrase clips by network, air date or program title
+   * Filters: networks / excludeNetworks (exact, case-insensitive),
+   * programs / excludePrograms (substring of show title, case-insensitive),
+   * airedFrom / airedTo (YYYY-MM-DD, inclusive).
+   * Phrases left with no clips are dropped so matching falls back to shorter phrases or static clips.
+   */
+  filterPhraseClips(filters) {
+    const lower = (list) => list ? list.map(item => item.toLowerCase()) : null;
+
+    const networks = lower(filters.networks);
+    const excludeNetworks = lower(filters.excludeNetworks);
+    const programs = lower(filters.programs);
+    const excludePrograms = lower(filters.excludePrograms);
+    const airedFrom = filters.airedFrom ? filters.airedFrom.replace(/-/g, '') : null;
+    const airedTo = filters.airedTo ? filters.airedTo.replace(/-/g, '') : null;
+
+    const keep = (clip, phrase) => {
+      const source = this.clipSource(clip.filename, phrase);
+      if (!source) {
+        return false;
+      }
+
+      const network = source.network.toLowerCase();
+      const title = source.title.replace(/_/g, ' ').toLowerCase();
+
+      if (networks && !networks.includes(network)) return false;
+      if (excludeNetworks && excludeNetworks.includes(network)) return false;
+      if (programs && !programs.some(program => title.includes(program))) return false;
+      if (excludePrograms && excludePrograms.some(program => title.includes(program))) return false;
+      if (airedFrom && source.date < airedFrom) return false;
+      if (airedTo && source.date > airedTo) return false;
+
+      return true;
+    };
+
+    const filtered = {};
+    let removedClips = 0;
+    let emptiedPhrases = 0;
+
+    for (const [phrase, clips] of Object.entries(this.phraseClips)) {
+      const kept = clips.filter(clip => keep(clip, phrase));
+      removedClips += clips.length - kept.length;
+
+      if (kept.length > 0) {
+        filtered[phrase] = kept;
+      } else if (clips.length > 0) {
+        emptiedPhrases++;
+      }
+    }
+
+    return { phraseClips: filtered, removedClips, emptiedPhrases };
+  }
+
+  /**
+   * Structured Archive.org provenance for a phrase clip
+   * Combines the filename with the matching phraseMap URL, which carries exact start/end seconds.
+   */
+  getProvenance(filename, phrase) {
+    const parsed = parseClipFilename(filename, phrase);
+
+    if (!parsed) {
+      return null;
+    }
+
+    let start = parsed.start;
+    let end = parsed.end;
+    let path = `/details/${parsed.identifier}/start/${start}/end/${end}`;
+
+    const prefix = `/details/${parsed.identifier}/start/`;
+    for (const url of this.phraseMap[phrase] || []) {
+      const match = url.startsWith(prefix) && url.match(/\/start\/([\d.]+)\/end\/([\d.]+)/);
+      if (match && Math.floor(Number(match[1])) === parsed.start) {
+        start = Number(match[1]);
+        end = Number(match[2]);
+        path = url;
+        break;
+      }
+    }
+
+    const { date, time } = parsed;
+
+    return {
+      network: parsed.network,
+      airDate: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T` +
+        `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}Z`,
+      showTitle: parsed.title.replace(/_/g, ' ') || null,
+      identifier: parsed.identifier,
+      start,
+      end,
+      url: `https://archive.org${path}`
+    };
+  }
+
+  /**
+   * Get static clip for unmatched word
+   */
+  getStaticClip(token) {
+    if (/^[^\w\s]+$/.test(token)) {
+      // Map typographic variants (curly quotes, dashes) to the ASCII manifest keys
+      const punct = normalizeCharacters(token);
+
+      return this.staticClips.punctuation?.[punct] ||
+             this.staticClips.punctuation?.['.'] || // Default to period
+             null;
+    }
+
+    // Look up by original token - manifest keys use original tokens like "it's"
+    const wordClip = this.staticClips.words?.[token];
+    if (wordClip) {
+      return wordClip;
+    }
+
+    // No fallback - all needed clips should be pre-generated
+    console.warn(`No static clip found for token: "${token}"`);
+    return null;
+  }
+
+  /**
+   * Generate script from text and matches
+   * With an interstitial, one is placed before the first clip at or after each paragraph break.
+   * Returns the script plus any tokens that had neither a phrase nor a static clip
+   */
+  generateScript(tokens, matches, seed, strategy = createSelectionStrategy('uniform'), phraseClips = this.phraseClips, {
+    interstitial = null,
+    breaks = []
+  } = {}) {
+    const script = [];
+    const unmatched = [];
+    const usedClips = new Set();
+    let nextBreak = 0;
+
+    // Track which tokens are covered by matches, and index matches by where they start
+    const covered = new Set();
+    const matchAt = new Map();
+    matches.forEach(match => {
+      matchAt.set(match.start, match);
+      for (let i = match.start; i < match.end; i++) {
+        covered.add(i);
+      }
+    });
+
+    // Process all tokens in order
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      for (; interstitial && nextBreak < breaks.length && breaks[nextBreak] <= i; nextBreak++) {
+        script.push(segmentItem(interstitial, 'interstitial'));
+      }
+
+      // Check if this position starts a match
+      const match = matchAt.get(i);
+
+      if (match) {
+        // Select clip for matched phrase
+        const availableClips = phraseClips[match.phrase] || [];
+        const clip = this.selectClip(availableClips, usedClips, seed + match.phrase, strategy, match.phrase);
+
+        if (clip) {
+          script.push({
+            text: tokens.slice(match.start, match.end).join(' '),
+            filename: clip.filename,
+            duration: clip.duration,
+            type: 'phrase',
+            provenance: this.getProvenance(clip.filename, match.phrase)
+          });
+        }
+
+        i = match.end - 1; // Skip to end of match
+
+      } else if (!covered.has(i)) {
+        // Unmatched token - use static fallback
+        const staticClip = this.getStaticClip(token);
+
+        if (staticClip) {
+          script.push({
+            text: token,
+            filename: staticClip.filename,
+            duration: staticClip.duration,
+            type: 'static'
+          });
+        } else {
+          unmatched.push({ index: i, token });
+        }
+      }
+    }
+
+    return { script, unmatched };
+  }
+
+  /**
+   * Build master playlist pairing the session's media playlist with its subtitle track
+   */
+  buildMasterPlaylist(sessionId) {
+    return [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",DEFAULT=NO,AUTOSELECT=YES,FORCED=NO,URI="/session/${sessionId}/subtitles.m3u8"`,
+      '#EXT-X-STREAM-INF:BANDWIDTH=2000000,SUBTITLES="subs"',
+      `/${sessionId}.m3u8`
+    ].join('\n');
+  }
+
+  /**
+   * Build subtitle media playlist: a single WebVTT segment spanning the whole timeline.
+   * Cue times are absolute (opener included), matching the player's continuous timeline.
+   */
+  buildSubtitlePlaylist(script, sessionId, segments = this.segments) {
+    const timeline = this.buildTimeline(script, segments);
+    const totalDuration = timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+
+    return [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${Math.ceil(totalDuration)}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      `#EXTINF:${totalDuration.toFixed(3)},`,
+      `/session/${sessionId}/subtitles.vtt`,
+      '#EXT-X-ENDLIST'
+    ].join('\n');
+  }
+
+  /**
+   * Report how much of a token list the manifest can voice, without selecting clips
+   */
+  analyzeCoverage(tokens, { segmentation = 'greedy', segmentationOptions = {} } = {}) {
+    const matches = this.matchPhrases(tokens, segmentation, this.phraseClips, segmentationOptions);
+    const coverage = tokens.map((token, index) => ({ index, token, source: 'none' }));
+
+    for (const match of matches) {
+      const alternatives = this.phraseClips[match.phrase].length;
+      for (let i = match.start; i < match.end; i++) {
+        coverage[i].source = 'phrase';
+        coverage[i].phrase = match.phrase;
+        coverage[i].alternatives = alternatives;
+      }
+    }
+
+    for (const entry of coverage) {
+      if (entry.source === 'none' && this.getStaticClip(entry.token)) {
+        entry.source = 'static';
+      }
+    }
+
+    const count = (source) => coverage.filter(c => c.source === source).length;
+    const percent = (n) => tokens.length > 0 ? Math.round((n / tokens.length) * 1000) / 10 : 0;
+
+    const phraseTokens = count('phrase');
+    const staticTokens = count('static');
+    const missingTokens = count('none');
+
+    const missingWords = [...new Set(
+      coverage.filter(c => c.source === 'none').map(c => c.token)
+    )];
+
+    return {
+      summary: {
+        totalTokens: tokens.length,
+        matchedPhrases: matches.length,
+        phraseTokens,
+        staticTokens,
+        missingTokens,
+        phrasePercent: percent(phraseTokens),
+        staticPercent: percent(staticTokens),
+        missingPercent: percent(missingTokens),
+        coveredPercent: percent(phraseTokens + staticTokens)
+      },
+      missingWords,
+      tokens: coverage
+    };
+  }
+
+  /**
+   * Resolve the URL for a clip
+   * If R2_BASE_URL is set, use absolute URLs, otherwise use relative paths
+   */
+  clipUrl(item) {
+    const clipPath = this.clipPath(item);
+
+    return CONFIG.r2BaseUrl ? `${CONFIG.r2BaseUrl}${clipPath}` : clipPath;
+  }
+
+  /**
+   * Path of a clip under the clip host: phrase clips in trimmed/, everything else in static/
+   */
+  clipPath(item) {
+    const dir = item.type === 'phrase' ? 'trimmed' : 'static';
+    return `/hls_clips/${dir}/${item.filename}`;
+  }
+
+  /**
+   * Build the playback timeline: opener, the script (interstitials included), then closer,
+   * with cumulative start/end times and resolved URLs.
+   * Shared by the M3U8 builder and all export formats.
+   */
+  buildTimeline(script, { opener, closer } = this.segments) {
+    const items = [
+      ...(opener ? [segmentItem(opener, 'opener')] : []),
+      ...script,
+      ...(closer ? [segmentItem(closer, 'closer')] : [])
+    ];
+
+    let position = 0;
+
+    return items.map((item, index) => {
+      const entry = {
+        index,
+        ...item,
+        url: this.clipUrl(item),
+        start: position,
+        end: position + item.duration
+      };
+      position = entry.end;
+      return entry;
+    });
+  }
+
+  /**
+   * Build M3U8 playlist from script
+   */
+  buildM3U8(script, sessionId, seed, segments = this.segments) {
+    const timeline = this.buildTimeline(script, segments);
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      '#EXT-X-TARGETDURATION:10',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+
+    // Add session comment for debugging
+    lines.push(`# Session: ${sessionId}`);
+    lines.push(`# Seed: ${seed}`);
+    lines.push(`# Generated: ${new Date().toISOString()}`);
+    lines.push(`# Clips: ${timeline.length}`); // includes opener, interstitials and closer
+
+    for (const item of timeline) {
+      // Add discontinuity tag before each segment
+      // Required because clips come from different sources with different timestamps
+      lines.push('#EXT-X-DISCONTINUITY');
+      lines.push(`#EXTINF:${item.duration.toFixed(3)},`);
+      lines.push(item.url);
+    }
+
+    const totalDuration = timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+
+    lines.push('#EXT-X-ENDLIST');
+    lines.push(`# Total duration: ${totalDuration.toFixed(1)}s`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Generate playlist with seeded randomization
+   * Uses the supplied text if given, otherwise fixedTokens (a work's text, by default the manifest's)
+   * and its paragraph breaks, fixedBreaks.
+   * The same seed, text and strategy always produce the same clip selection.
+   * onProgress(stage, counts) is called as each stage finishes: tokenize, filter (with filters only),
+   * match, select and build.
+   * With stats: false, the matching only stats need is skipped: degradedPhrases and the other
+   * segmentation's summary come back null.
+   */
+  generatePlaylist(sessionId, options = {}) {
+    const stages = this.playlistStages(sessionId, options);
+    let step = stages.next();
+
+    while (!step.done) {
+      if (options.onProgress) {
+        options.onProgress(...step.value);
+      }
+      step = stages.next();
+    }
+
+    return step.value;
+  }
+
+  /**
+   * generatePlaylist, yielding to the event loop after each stage so that whatever
+   * onProgress writes (e.g. a server-sent event) goes out before the next stage runs
+   */
+  async generatePlaylistAsync(sessionId, options = {}) {
+    const stages = this.playlistStages(sessionId, options);
+    let step = stages.next();
+
+    while (!step.done) {
+      if (options.onProgress) {
+        options.onProgress(...step.value);
+      }
+      await new Promise(setImmediate);
+      step = stages.next();
+    }
+
+    return step.value;
+  }
+
+  /**
+   * The stages of generatePlaylist: yields [stage, counts] as each finishes and returns the result
+   */
+  * playlistStages(sessionId, {
+    text = null,
+    fixedTokens = this.fixedTokens,
+    fixedBreaks = this.fixedBreaks,
+    segments = this.segments,
+    seed = sessionId,
+    strategy = 'uniform',
+    strategyOptions = {},
+    filters = null,
+    segmentation = 'greedy',
+    segmentationOptions = {},
+    stats = true
+  }) {
+    let tokens;
+    let breaks;
+
+    if (text !== null) {
+      tokens = this.normalizeAndTokenize(text);
+      breaks = paragraphBreaks(text);
+      console.log(`[${sessionId}] Using custom text: ${tokens.length} tokens`);
+    } else {
+      // Use pre-loaded fixed tokens
+      tokens = fixedTokens;
+      breaks = fixedBreaks;
+
+      if (!tokens) {
+        throw new Error('No fixed text available in manifest');
+      }
+
+      console.log(`[${sessionId}] Using fixed text: ${tokens.length} tokens`);
+    }
+
+    yield ['tokenize', { tokens: tokens.length, source: text !== null ? 'custom' : 'fixed' }];
+
+    let phraseClips = this.phraseClips;
+    let filterStats = null;
+
+    if (filters) {
+      const filtered = this.filterPhraseClips(filters);
+      phraseClips = filtered.phraseClips;
+
+      // A phrase is degraded when the unfiltered match had to fall back to something shorter
+      const available = (match) => phraseClips[match.phrase] && phraseClips[match.phrase].length > 0;
+      const unfilteredMatches = stats
+        ? this.matchPhrases(tokens, segmentation, this.phraseClips, segmentationOptions)
+        : null;
+
+      filterStats = {
+        removedClips: filtered.removedClips,
+        emptiedPhrases: filtered.emptiedPhrases,
+        degradedPhrases: unfilteredMatches ? unfilteredMatches.filter(match => !available(match)).length : null
+      };
+
+      console.log(`[${sessionId}] Filter removed ${filterStats.removedClips} clips, degraded ${filterStats.degradedPhrases} phrases`);
+      yield ['filter', filterStats];
+    }
+
+    const matches = this.matchPhrases(tokens, segmentation, phraseClips, segmentationOptions);
+    console.log(`[${sessionId}] Matched: ${matches.length} phrases (${segmentation})`);
+
+    // With stats, also run the other segmentation so they can compare coverage
+    const segmentationStats = { mode: segmentation, greedy: null, optimal: null };
+    for (const mode of stats ? SEGMENTATION_MODES : [segmentation]) {
+      const modeMatches = mode === segmentation ? matches : this.matchPhrases(tokens, mode, phraseClips, segmentationOptions);
+      segmentationStats[mode] = this.summarizeMatches(tokens, modeMatches);
+    }
+
+    yield ['match', { segmentation, ...segmentationStats[segmentation] }];
+
+    console.log(`[${sessionId}] Selection strategy: ${strategy}`);
+
+    const selection = createSelectionStrategy(strategy, strategyOptions);
+    const { script, unmatched } = this.generateScript(tokens, matches, seed, selection, phraseClips, {
+      interstitial: segments.interstitial,
+      breaks
+    });
+    console.log(`[${sessionId}] Script: ${script.length} clips`);
+
+    if (unmatched.length > 0) {
+      console.warn(`[${sessionId}] Dropped ${unmatched.length} tokens with no clip`);
+    }
+
+    yield ['select', {
+      strategy,
+      clips: script.length,
+      phraseClips: script.filter(clip => clip.type === 'phrase').length,
+      staticClips: script.filter(clip => clip.type === 'static').length,
+      unmatched: unmatched.length
+    }];
+
+    const playlist = this.buildM3U8(script, sessionId, seed, segments);
+
+    yield ['build', {
+      segments: script.length + (segments.opener ? 1 : 0) + (segments.closer ? 1 : 0),
+      duration: segmentTiming(script, segments).playbackDuration
+    }];
+
+    return { playlist, script, tokens, matches, unmatched, seed, filterStats, segmentationStats };
+  }
+}
+
+/**
+ * Script/timeline entry for an opener, closer or interstitial clip
+ */
+function segmentItem(segment, type) {
+  return { text: '', filename: segment.filename, duration: segment.duration, type };
+}
+
+/**
+ * Merge segment settings, most specific first: each of opener, closer and interstitial
+ * comes from the first source that sets it (null included, which turns it off)
+ */
+function resolveSegments(...sources) {
+  const segments = {};
+
+  for (const name of SEGMENT_NAMES) {
+    const source = sources.find(candidate => candidate && candidate[name] !== undefined);
+    segments[name] = source ? source[name] : null;
+  }
+
+  return segments;
+}
+
+/**
+ * Playback timing of a script with its segments: what the stats and /session report
+ * playbackDuration is summed in timeline order, so it equals the last timeline entry's end.
+ */
+function segmentTiming(script, segments) {
+  const interstitials = script.filter(item => item.type === 'interstitial');
+  const openerDuration = segments.opener ? segments.opener.duration : 0;
+  const closerDuration = segments.closer ? segments.closer.duration : 0;
+
+  return {
+    openerDuration,
+    closerDuration,
+    interstitials: interstitials.length,
+    interstitialDuration: interstitials.reduce((sum, item) => sum + item.duration, 0),
+    playbackDuration: script.reduce((sum, item) => sum + item.duration, openerDuration) + closerDuration
+  };
+}
+
+module.exports = {
+  SEGMENTATION_MODES,
+  HLSBuilder,
+  resolveSegments,
+  segmentTiming
+};
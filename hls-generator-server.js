@@ -9,447 +9,647 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const cors = require('cors');
+const { createSessionStore } = require('./session-store');
+const exporters = require('./playlist-export');
+const { CONFIG } = require('./config');
+const { SEGMENTATION_MODES, HLSBuilder, resolveSegments, segmentTiming } = require('./hls-builder');
+const { STRATEGY_NAMES, validateStrategy } = require('./selection-strategies');
+const { normalizeAndTokenize, paragraphBreaks } = require('./tokenizer');
+const { validateManifest } = require('./manifest-validator');
+const { loadWorks } = require('./works');
+const { LiveChannel } = require('./live-playlist');
+const { RenderQueue } = require('./render-jobs');
+
+const SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Clip pool filter fields: list-valued and date-valued
+const FILTER_LIST_FIELDS = ['networks', 'excludeNetworks', 'programs', 'excludePrograms'];
+const FILTER_DATE_FIELDS = ['airedFrom', 'airedTo'];
 
-// Configuration
-const CONFIG = {
-  port: process.env.PORT || 3001,
-  manifestPath: process.env.MANIFEST_PATH || './clips-manifest.json',
-  r2BaseUrl: process.env.R2_BASE_URL || null, // e.g., 'https://pub-XXXX.r2.dev' or 'http://localhost:8080'
-  sessionTTL: 3600000, // 1 hour in milliseconds
-  maxPhraseLength: 10,
-  cleanupInterval: 300000 // 5 minutes
-};
+/**
+ * Validate optional text from a request body
+ * Returns an error descriptor ({ status, code, message }) or null if valid
+ */
+function validateText(text) {
+  if (text === undefined || text === null) {
+    return null;
+  }
 
-const sessions = new Map();
+  if (typeof text !== 'string') {
+    return { status: 400, code: 'INVALID_TEXT', message: 'text must be a string' };
+  }
 
-class HLSBuilder {
-  constructor(manifestPath) {
-    console.log(`Loading manifest from ${manifestPath}...`);
+  if (text.trim().length === 0) {
+    return { status: 400, code: 'EMPTY_TEXT', message: 'text must not be empty' };
+  }
 
-    try {
-      const manifestData = fs.readFileSync(manifestPath, 'utf8');
-      this.manifest = JSON.parse(manifestData);
+  if (text.length > CONFIG.maxTextLength) {
+    return {
+      status: 413,
+      code: 'TEXT_TOO_LONG',
+      message: `text exceeds maximum length of ${CONFIG.maxTextLength} characters`
+    };
+  }
 
-      this.phraseMap = this.manifest.phraseMap || {};
-      this.phraseClips = this.manifest.phraseClips || {};
-      this.staticClips = this.manifest.staticClips || {};
+  return null;
+}
 
-      this.baseUrl = CONFIG.r2BaseUrl || '/hls_clips/';
+/**
+ * Validate optional seed from a request body or URL
+ * Seeds are kept URL-safe so they can be embedded in /seed/{seed}.m3u8
+ */
+function validateSeed(seed) {
+  if (seed === undefined || seed === null) {
+    return null;
+  }
 
-      this.fixedText = this.manifest.fixedText;
-      this.fixedTokens = this.manifest.fixedTokens;
+  if (typeof seed !== 'string' || !SEED_PATTERN.test(seed)) {
+    return {
+      status: 400,
+      code: 'INVALID_SEED',
+      message: 'seed must be 1-64 characters of letters, digits, "-" or "_"'
+    };
+  }
 
-      console.log(`Manifest loaded successfully:`);
-      console.log(`  - ${Object.keys(this.phraseMap).length} phrases`);
-      console.log(`  - ${Object.keys(this.phraseClips).length} phrases with clips`);
-      console.log(`  - ${Object.keys(this.staticClips.words || {}).length} word clips`);
-      console.log(`  - ${Object.keys(this.staticClips.punctuation || {}).length} punctuation clips`);
+  return null;
+}
 
-      if (this.fixedTokens) {
-        console.log(`  - Fixed text: ${this.fixedTokens.length} tokens`);
-      } else {
-        console.warn(`  ⚠ No fixed text in manifest - will require text input`);
-      }
+/**
+ * Validate optional selection strategy from a request body or query
+ */
+function validateStrategyRequest(strategy, strategyOptions) {
+  if (strategy === undefined || strategy === null) {
+    return null;
+  }
 
-    } catch (error) {
-      console.error(`Failed to load manifest: ${error.message}`);
-      throw error;
-    }
+  const message = typeof strategy === 'string'
+    ? validateStrategy(strategy, strategyOptions ?? {})
+    : 'strategy must be a string';
+
+  return message ? { status: 400, code: 'INVALID_STRATEGY', message } : null;
+}
+
+/**
+ * Validate optional segmentation mode and options from a request body or query
+ */
+function validateSegmentation(segmentation, segmentationOptions) {
+  if (segmentation === undefined || segmentation === null) {
+    return null;
   }
 
-  /**
-   * Normalize and tokenize text (ported from Python)
-   * Uses consistent Unicode normalization across Python and JavaScript.
-   */
-  normalizeAndTokenize(text) {
-    // Strip BOM and zero-width characters
-    text = text.replace(/\ufeff/g, '')
-               .replace(/\u200b/g, '')
-               .replace(/\u200c/g, '')
-               .replace(/\u200d/g, '');
-
-    // Normalize curly quotes and apostrophes to straight ASCII equivalents
-    const quoteMap = {
-      '\u2018': "'", // ' LEFT SINGLE QUOTATION MARK
-      '\u2019': "'", // ' RIGHT SINGLE QUOTATION MARK
-      '\u201a': "'", // ‚ SINGLE LOW-9 QUOTATION MARK
-      '\u201b': "'", // ‛ SINGLE HIGH-REVERSED-9 QUOTATION MARK
-      '\u201c': '"', // " LEFT DOUBLE QUOTATION MARK
-      '\u201d': '"', // " RIGHT DOUBLE QUOTATION MARK
-      '\u201e': '"', // „ DOUBLE LOW-9 QUOTATION MARK
-      '\u201f': '"', // ‟ DOUBLE HIGH-REVERSED-9 QUOTATION MARK
-      '\u2032': "'", // ′ PRIME
-      '\u2033': '"', // ″ DOUBLE PRIME
-      '\u0060': "'", // ` GRAVE ACCENT
-      '\u00b4': "'", // ´ ACUTE ACCENT
-      '\u2013': '-', // – EN DASH
-      '\u2014': '-', // — EM DASH
-    };
+  const invalid = (message) => ({ status: 400, code: 'INVALID_SEGMENTATION', message });
+
+  if (!SEGMENTATION_MODES.includes(segmentation)) {
+    return invalid(`segmentation must be one of: ${SEGMENTATION_MODES.join(', ')}`);
+  }
 
-    for (const [oldChar, newChar] of Object.entries(quoteMap)) {
-      text = text.replaceAll(oldChar, newChar);
+  if (segmentationOptions === null || typeof segmentationOptions !== 'object' || Array.isArray(segmentationOptions)) {
+    return invalid('segmentationOptions must be an object');
+  }
+
+  for (const [key, value] of Object.entries(segmentationOptions)) {
+    if (!(key in CONFIG.segmentationDefaults)) {
+      return invalid(`Unknown segmentation option: ${key}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return invalid(`segmentationOptions.${key} must be a non-negative number`);
     }
+  }
+
+  return null;
+}
 
-    // Remove diacritics
-    text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+/**
+ * Validate optional clip pool filters from a request body or query
+ */
+function validateFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return null;
+  }
 
-    // Convert to lowercase
-    text = text.toLowerCase();
+  const invalid = (message) => ({ status: 400, code: 'INVALID_FILTERS', message });
 
-    // Tokenize: words (including apostrophes and hyphens) OR punctuation
-    const tokens = text.match(/[\w'-]+|[^\w\s'-]/g) || [];
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return invalid('filters must be an object');
+  }
 
-    return tokens;
+  for (const key of Object.keys(filters)) {
+    if (!FILTER_LIST_FIELDS.includes(key) && !FILTER_DATE_FIELDS.includes(key)) {
+      return invalid(`Unknown filter: ${key}`);
+    }
   }
 
-  /**
-   * Greedy phrase matching (ported from Python)
-   */
-  greedyMatchPhrases(tokens) {
-    const matches = [];
-    let i = 0;
+  for (const key of FILTER_LIST_FIELDS) {
+    const value = filters[key];
+    if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item))) {
+      return invalid(`filters.${key} must be an array of non-empty strings`);
+    }
+  }
 
-    while (i < tokens.length) {
-      // Skip punctuation tokens
-      if (/^[^\w\s]+$/.test(tokens[i])) {
-        i++;
-        continue;
-      }
+  for (const key of FILTER_DATE_FIELDS) {
+    const value = filters[key];
+    if (value !== undefined && (typeof value !== 'string' || !DATE_PATTERN.test(value))) {
+      return invalid(`filters.${key} must be a date in YYYY-MM-DD format`);
+    }
+  }
 
-      let bestMatch = null;
-      let bestLength = 0;
+  return null;
+}
 
-      // Try longest phrases first
-      const maxLen = Math.min(CONFIG.maxPhraseLength, tokens.length - i);
+/**
+ * Read and validate the generation options in a /generate or /live request body
+ * Returns { error } (an error descriptor) or { options }
+ */
+function readGenerationRequest(body) {
+  const options = {
+    text: body?.text ?? null,
+    seed: body?.seed ?? null,
+    strategy: body?.strategy ?? 'uniform',
+    strategyOptions: body?.strategyOptions ?? {},
+    filters: body?.filters ?? null,
+    segmentation: body?.segmentation ?? 'greedy',
+    segmentationOptions: body?.segmentationOptions ?? {}
+  };
+
+  const error = validateText(options.text) ||
+    validateSeed(options.seed) ||
+    validateStrategyRequest(options.strategy, options.strategyOptions) ||
+    validateFilters(options.filters) ||
+    validateSegmentation(options.segmentation, options.segmentationOptions);
+
+  return error ? { error } : { options };
+}
 
-      for (let length = maxLen; length > 0; length--) {
-        // Collect consecutive word tokens (stop at punctuation)
-        const phraseTokens = [];
-        let j = i;
+/**
+ * Read strategy and filters from /seed query parameters
+ * Strategy options and filters are flat; list filters repeat (?networks=CSPAN&networks=CSPAN2).
+ */
+function parseSeedQuery(query) {
+  const strategy = query.strategy || 'uniform';
 
-        while (j < tokens.length && phraseTokens.length < length) {
-          if (/^[^\w\s]+$/.test(tokens[j])) {
-            // Hit punctuation, stop here
-            break;
-          }
-          phraseTokens.push(tokens[j]);
-          j++;
-        }
+  const strategyOptions = {};
+  if (query.from) strategyOptions.from = query.from;
+  if (query.to) strategyOptions.to = query.to;
+  if (query.weight) strategyOptions.weight = Number(query.weight);
 
-        if (phraseTokens.length !== length) {
-          continue;
-        }
+  const segmentation = query.segmentation || 'greedy';
 
-        // Build candidate phrase
-        const candidate = phraseTokens.join(' ');
+  const segmentationOptions = {};
+  for (const key of Object.keys(CONFIG.segmentationDefaults)) {
+    if (query[key] !== undefined) segmentationOptions[key] = Number(query[key]);
+  }
 
-        // Check if this phrase exists in the phrase map AND has available clips
-        if (this.phraseMap[candidate] && this.phraseClips[candidate] && this.phraseClips[candidate].length > 0) {
-          bestMatch = candidate;
-          bestLength = length;
-          break;
-        }
-      }
+  let filters = null;
+  for (const key of FILTER_LIST_FIELDS) {
+    if (query[key] !== undefined) {
+      filters = filters || {};
+      filters[key] = [].concat(query[key]);
+    }
+  }
+  for (const key of FILTER_DATE_FIELDS) {
+    if (query[key] !== undefined) {
+      filters = filters || {};
+      filters[key] = query[key];
+    }
+  }
+
+  return { strategy, strategyOptions, filters, segmentation, segmentationOptions };
+}
 
-      if (bestMatch) {
-        matches.push({
-          phrase: bestMatch,
-          start: i,
-          end: i + bestLength
-        });
-        i += bestLength;
-      } else {
-        i++;
+/**
+ * Seed replay URL, carrying any non-default strategy and filters in the query string
+ * Works other than the default replay under /works/{slug}/seed.
+ */
+function buildSeedUrl(seed, { work = null, strategy, strategyOptions = {}, filters = null, segmentation, segmentationOptions = {} } = {}) {
+  const params = new URLSearchParams();
+
+  if (strategy && strategy !== 'uniform') {
+    params.set('strategy', strategy);
+    for (const [key, value] of Object.entries(strategyOptions)) {
+      if (value !== undefined && value !== null) {
+        params.set(key, String(value));
       }
     }
-
-    return matches;
   }
 
-  /**
-   * Estimate word duration (ported from Python)
-   */
-  estimateWordDuration(word) {
-    // Punctuation gets short duration
-    if (/^[^\w\s]+$/.test(word)) {
-      return ['.', '!', '?'].includes(word) ? 0.15 : 0.10;
+  for (const [key, value] of Object.entries(filters || {})) {
+    for (const item of [].concat(value)) {
+      params.append(key, item);
     }
-
-    // Regular words: estimate by character count
-    const cleanWord = word.replace(/[^\w]/g, '');
-    const estimated = cleanWord.length * 0.08;
-    return Math.max(0.3, estimated);
   }
 
-  /**
-   * Select clip for phrase with session-based randomization
-   */
-  selectClip(availableClips, usedClips, seedStr) {
-    if (!availableClips || availableClips.length === 0) {
-      return null;
+  if (segmentation && segmentation !== 'greedy') {
+    params.set('segmentation', segmentation);
+    for (const [key, value] of Object.entries(segmentationOptions)) {
+      params.set(key, String(value));
     }
+  }
 
-    // Prefer unused clips
-    const unused = availableClips.filter(clip => !usedClips.has(clip.filename));
-    const pool = unused.length > 0 ? unused : availableClips;
+  const query = params.toString();
+  const prefix = work && work !== catalog.defaultSlug ? `/works/${work}` : '';
+  return `${prefix}/seed/${seed}.m3u8${query ? `?${query}` : ''}`;
+}
 
-    // Seeded random selection
-    const hash = crypto.createHash('md5').update(seedStr).digest('hex');
-    const index = parseInt(hash.substr(0, 8), 16) % pool.length;
+function generateSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
 
-    const selected = pool[index];
-    usedClips.add(selected.filename);
+function sendError(res, { status, code, message }) {
+  res.status(status).json({ error: message, code });
+}
 
-    return selected;
-  }
+const app = express();
 
-  /**
-   * Get static clip for unmatched word
-   */
-  getStaticClip(token) {
-    if (/^[^\w\s]+$/.test(token)) {
-      // Map common punctuation variants
-      let punct = token;
-      if (token === '"' || token === '"' || token === '"') punct = '"';
-      if (token === "'" || token === "'" || token === "'") punct = "'";
-      if (token === '—' || token === '–') punct = '-';
+// Railway's proxy terminates TLS, so take the protocol from its X-Forwarded-Proto
+app.set('trust proxy', 1);
 
-      return this.staticClips.punctuation?.[punct] ||
-             this.staticClips.punctuation?.['.'] || // Default to period
-             null;
-    }
+const corsOptions = {
+  origin: ['https://thelivesofinfamousmen.isthisa.com', 'http://localhost:3001'],
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type'],
+  credentials: true
+};
+app.use(cors(corsOptions));
 
-    // Look up by original token - manifest keys use original tokens like "it's"
-    const wordClip = this.staticClips.words?.[token];
-    if (wordClip) {
-      return wordClip;
+app.use(express.json({ limit: '10mb' }));
+
+/**
+ * Load the works and the clip manifests they perform from
+ * Each manifest is loaded once, however many works share it, and each work gets its
+ * builder, tokens, paragraph breaks, segments and coverage.
+ * Returns { defaultSlug, works: Map, builders: Map }.
+ */
+function loadCatalog() {
+  const { defaultSlug, works } = loadWorks(CONFIG.worksPath, { manifestPath: CONFIG.manifestPath });
+  const builders = new Map();
+
+  for (const work of works) {
+    const key = path.resolve(work.manifestPath);
+    if (!builders.has(key)) {
+      builders.set(key, new HLSBuilder(work.manifestPath));
     }
 
-    // No fallback - all needed clips should be pre-generated
-    console.warn(`No static clip found for token: "${token}"`);
-    return null;
+    work.builder = builders.get(key);
+    // Works without their own text perform the manifest's fixed text
+    work.tokens = work.text !== null ? normalizeAndTokenize(work.text) : work.builder.fixedTokens;
+    work.breaks = work.text !== null ? paragraphBreaks(work.text) : work.builder.fixedBreaks;
+    work.segments = resolveSegments(work.segments, work.builder.segments);
+    work.coverage = work.tokens ? work.builder.analyzeCoverage(work.tokens).summary : null;
+
+    console.log(work.tokens
+      ? `Work "${work.slug}": ${work.tokens.length} tokens, ${work.coverage.coveredPercent}% covered`
+      : `Work "${work.slug}": no fixed text`);
   }
 
-  /**
-   * Generate script from text and matches
-   */
-  generateScript(tokens, matches, sessionId) {
-    const script = [];
-    const usedClips = new Set();
-    const seed = sessionId;
+  return { defaultSlug, works: new Map(works.map(work => [work.slug, work])), builders };
+}
 
-    // Track which tokens are covered by matches
-    const covered = new Set();
-    matches.forEach(match => {
-      for (let i = match.start; i < match.end; i++) {
-        covered.add(i);
-      }
-    });
+let catalog;
+try {
+  catalog = loadCatalog();
+} catch (error) {
+  console.error('Failed to initialize HLS builder:', error);
+  if (require.main === module) {
+    process.exit(1);
+  }
+  throw error;
+}
 
-    // Process all tokens in order
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-
-      // Check if this position starts a match
-      const match = matches.find(m => m.start === i);
-
-      if (match) {
-        // Select clip for matched phrase
-        const availableClips = this.phraseClips[match.phrase] || [];
-        const clip = this.selectClip(availableClips, usedClips, seed + match.phrase);
-
-        if (clip) {
-          script.push({
-            text: tokens.slice(match.start, match.end).join(' '),
-            filename: clip.filename,
-            duration: clip.duration,
-            type: 'phrase'
-          });
-        }
+let sessions;
+try {
+  sessions = createSessionStore({
+    type: CONFIG.sessionStore,
+    ttl: CONFIG.sessionTTL,
+    expireBy: CONFIG.sessionExpireBy,
+    directory: CONFIG.sessionDir
+  });
+} catch (error) {
+  console.error(`Failed to initialize ${CONFIG.sessionStore} session store:`, error);
+  if (require.main === module) {
+    process.exit(1);
+  }
+  throw error;
+}
 
-        i = match.end - 1; // Skip to end of match
+// Live channels by id (in memory: each instance runs its own)
+const liveChannels = new Map();
 
-      } else if (!covered.has(i)) {
-        // Unmatched token - use static fallback
-        const staticClip = this.getStaticClip(token);
+// MP4 renders, one at a time (in memory: each instance renders its own)
+const renders = new RenderQueue(CONFIG.render);
 
-        if (staticClip) {
-          script.push({
-            text: token,
-            filename: staticClip.filename,
-            duration: staticClip.duration,
-            type: 'static'
-          });
-        }
+let pendingReload = null;
+
+/**
+ * Reload the works file and every manifest it uses
+ * The new manifests are loaded and validated into fresh HLSBuilders, then swapped in
+ * with a single assignment, so each request sees either the old catalog or the new one.
+ * If anything fails to load or validate, the reload is rejected and the current catalog stays in use.
+ * Sessions keep the playlists they were built with.
+ */
+function reloadManifest(reason) {
+  // Coalesce overlapping triggers (e.g. SIGHUP while a file change is being handled)
+  if (!pendingReload) {
+    pendingReload = (async () => {
+      console.log(`Reloading manifest (${reason})...`);
+
+      let candidate;
+      try {
+        candidate = loadCatalog();
+      } catch (error) {
+        console.error(`Manifest reload rejected: ${error.message}`);
+        return { reloaded: false, error: error.message };
       }
-    }
 
-    return script;
-  }
-
-  /**
-   * Build M3U8 playlist from script
-   */
-  buildM3U8(script, sessionId) {
-    const lines = [
-      '#EXTM3U',
-      '#EXT-X-VERSION:3',
-      '#EXT-X-TARGETDURATION:10',
-      '#EXT-X-PLAYLIST-TYPE:VOD'
-    ];
-
-    // Add session comment for debugging
-    lines.push(`# Session: ${sessionId}`);
-    lines.push(`# Generated: ${new Date().toISOString()}`);
-    lines.push(`# Clips: ${script.length + 1}`); // +1 for opener
-
-    let totalDuration = 0;
-
-    // Add opener clip first
-    const openerDuration = 8.08;
-    lines.push('#EXT-X-DISCONTINUITY');
-    lines.push(`#EXTINF:${openerDuration.toFixed(3)},`);
-    const openerPath = CONFIG.r2BaseUrl
-      ? `${CONFIG.r2BaseUrl}/hls_clips/static/opener.ts`
-      : '/hls_clips/static/opener.ts';
-    lines.push(openerPath);
-    totalDuration += openerDuration;
-
-    for (const item of script) {
-      // Add discontinuity tag before each segment
-      // Required because clips come from different sources with different timestamps
-      lines.push('#EXT-X-DISCONTINUITY');
-      lines.push(`#EXTINF:${item.duration.toFixed(3)},`);
-
-      // Determine URL based on clip type
-      // If R2_BASE_URL is set, use absolute URLs, otherwise use relative paths
-      let clipPath;
-      if (CONFIG.r2BaseUrl) {
-        // Use R2 absolute URLs
-        if (item.type === 'phrase') {
-          clipPath = `${CONFIG.r2BaseUrl}/hls_clips/trimmed/${item.filename}`;
-        } else {
-          clipPath = `${CONFIG.r2BaseUrl}/hls_clips/static/${item.filename}`;
-        }
-      } else {
-        // Use relative URLs for local serving
-        if (item.type === 'phrase') {
-          clipPath = `/hls_clips/trimmed/${item.filename}`;
-        } else {
-          clipPath = `/hls_clips/static/${item.filename}`;
+      let warnings = 0;
+      for (const [manifestPath, manifestBuilder] of candidate.builders) {
+        const report = await validateManifest(manifestBuilder, { segments: manifestBuilder.segments, skipExistence: true });
+        if (!report.ok) {
+          console.error(`Manifest reload rejected: ${report.summary.errors} validation errors in ${manifestPath}`);
+          return { reloaded: false, error: 'failed validation', report };
         }
+        warnings += report.summary.warnings;
       }
 
-      lines.push(clipPath);
-      totalDuration += item.duration;
-    }
-
-    lines.push('#EXT-X-ENDLIST');
-    lines.push(`# Total duration: ${totalDuration.toFixed(1)}s`);
+      catalog = candidate;
+      // Manifests added to works.json are watched from now on, removed ones no longer
+      if (watchedFiles.size > 0) {
+        watchCatalogFiles();
+      }
 
-    return lines.join('\n');
+      const { manifest } = defaultWork().builder;
+      console.log(`Manifest reloaded: version ${manifest.version}, generated ${manifest.generated}`);
+      return { reloaded: true, manifest: manifestInfo(defaultWork().builder), warnings };
+    })().finally(() => {
+      pendingReload = null;
+    });
   }
 
-  /**
-   * Generate playlist using fixed text with session-based randomization
-   */
-  generatePlaylist(sessionId) {
-    // Use pre-loaded fixed tokens from manifest
-    const tokens = this.fixedTokens;
+  return pendingReload;
+}
+
+// Files polled under MANIFEST_WATCH: the works file and every manifest it uses
+const watchedFiles = new Set();
 
-    if (!tokens) {
-      throw new Error('No fixed text available in manifest');
+/**
+ * Poll the works file and the catalog's manifests, reloading when one changes
+ * Called at startup and after each reload, so the set follows works.json.
+ */
+function watchCatalogFiles() {
+  const files = new Set([path.resolve(CONFIG.worksPath), ...catalog.builders.keys()]);
+
+  for (const file of watchedFiles) {
+    if (!files.has(file)) {
+      fs.unwatchFile(file);
+      watchedFiles.delete(file);
     }
+  }
 
-    console.log(`[${sessionId}] Using fixed text: ${tokens.length} tokens`);
+  for (const file of files) {
+    if (watchedFiles.has(file)) {
+      continue;
+    }
 
-    const matches = this.greedyMatchPhrases(tokens);
-    console.log(`[${sessionId}] Matched: ${matches.length} phrases`);
+    watchedFiles.add(file);
+    fs.watchFile(file, { interval: CONFIG.manifestWatchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs && current.size > 0) {
+        reloadManifest(`${path.basename(file)} changed`);
+      }
+    });
+  }
+}
 
-    const script = this.generateScript(tokens, matches, sessionId);
-    console.log(`[${sessionId}] Script: ${script.length} clips`);
+function defaultWork() {
+  return catalog.works.get(catalog.defaultSlug);
+}
 
-    const playlist = this.buildM3U8(script, sessionId);
+/**
+ * The work a session was generated from
+ * Sessions from before works existed, or whose work has since been removed, fall back to the default.
+ */
+function sessionWork(session) {
+  return catalog.works.get(session.work) || defaultWork();
+}
 
-    return { playlist, script, tokens, matches };
-  }
+/**
+ * Segments a session was built with
+ * Older sessions stored no segments (or only an opener), and had no closer or interstitials.
+ */
+function sessionSegments(session) {
+  return session.segments || { opener: session.opener || CONFIG.segments.opener, closer: null, interstitial: null };
 }
 
-const app = express();
+/**
+ * Resolve :slug to req.work (the default work on routes without one)
+ */
+function resolveWork(req, res, next) {
+  const slug = req.params.slug ?? catalog.defaultSlug;
+  const work = catalog.works.get(slug);
 
-const corsOptions = {
-  origin: ['https://thelivesofinfamousmen.isthisa.com', 'http://localhost:3001'],
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type'],
-  credentials: true
-};
-app.use(cors(corsOptions));
+  if (!work) {
+    return sendError(res, { status: 404, code: 'WORK_NOT_FOUND', message: `Unknown work: ${slug}` });
+  }
 
-app.use(express.json({ limit: '10mb' }));
+  req.work = work;
+  next();
+}
 
-let builder;
-try {
-  builder = new HLSBuilder(CONFIG.manifestPath);
-} catch (error) {
-  console.error('Failed to initialize HLS builder:', error);
-  process.exit(1);
+/**
+ * Public description of a work, as listed by GET /works
+ */
+function workSummary(work) {
+  return {
+    slug: work.slug,
+    title: work.title,
+    author: work.author,
+    default: work.slug === catalog.defaultSlug,
+    totalTokens: work.tokens ? work.tokens.length : 0,
+    generateUrl: `/works/${work.slug}/generate`
+  };
 }
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [sessionId, session] of sessions.entries()) {
-    if (now - session.created > CONFIG.sessionTTL) {
-      sessions.delete(sessionId);
-      console.log(`Cleaned up expired session: ${sessionId}`);
-    }
+/**
+ * Identify the manifest a builder was loaded from
+ */
+function manifestInfo(manifestBuilder) {
+  return {
+    version: manifestBuilder.manifest.version || null,
+    generated: manifestBuilder.manifest.generated || null,
+    loadedAt: manifestBuilder.loadedAt
+  };
+}
+
+/**
+ * Require the admin token as a Bearer credential; admin routes 404 when no token is configured
+ */
+function requireAdmin(req, res, next) {
+  if (!CONFIG.adminToken) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(CONFIG.adminToken))) {
+    return sendError(res, { status: 401, code: 'UNAUTHORIZED', message: 'Missing or invalid admin token' });
   }
-}, CONFIG.cleanupInterval);
+
+  next();
+}
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'generate.html'));
 });
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'healthy',
-    sessions: sessions.size,
+    sessions: await sessions.count(),
+    manifest: manifestInfo(defaultWork().builder),
+    works: catalog.works.size,
+    liveChannels: liveChannels.size,
     uptime: process.uptime()
   });
 });
 
-app.post('/generate', (req, res) => {
+app.post('/admin/reload-manifest', requireAdmin, async (req, res) => {
+  const result = await reloadManifest('admin endpoint');
+
+  if (!result.reloaded) {
+    return res.status(422).json({
+      error: `Manifest reload rejected: ${result.error}`,
+      code: 'MANIFEST_REJECTED',
+      issues: result.report ? result.report.issues.filter(issue => issue.severity === 'error') : []
+    });
+  }
+
+  res.json({ reloaded: true, manifest: result.manifest, warnings: result.warnings });
+});
+
+app.get('/works', (req, res) => {
+  res.json({
+    default: catalog.defaultSlug,
+    works: [...catalog.works.values()].map(workSummary)
+  });
+});
+
+app.get('/works/:slug', resolveWork, (req, res) => {
+  const { work } = req;
+
+  res.json({
+    ...workSummary(work),
+    description: work.description,
+    image: work.image,
+    segments: work.segments,
+    coverage: work.coverage,
+    manifest: manifestInfo(work.builder)
+  });
+});
+
+/**
+ * Generate and store a session for a work from validated request options (see readGenerationRequest)
+ * Returns { error } (an error descriptor) or { response }, the /generate response body.
+ * onProgress(stage, counts) follows HLSBuilder.generatePlaylist, plus a final "store" stage.
+ */
+async function generateSession(work, options, onProgress = null) {
+  const { text, seed: requestedSeed, strategy, strategyOptions, filters, segmentation, segmentationOptions } = options;
+
   const sessionId = crypto.randomBytes(16).toString('hex');
+  const seed = requestedSeed || generateSeed();
 
   console.log(`\n=== New Generation Request ===`);
+  console.log(`Work: ${work.slug}`);
   console.log(`Session: ${sessionId}`);
+  console.log(`Seed: ${seed}`);
+
+  const result = await work.builder.generatePlaylistAsync(sessionId, {
+    text,
+    fixedTokens: work.tokens,
+    fixedBreaks: work.breaks,
+    segments: work.segments,
+    seed,
+    strategy,
+    strategyOptions,
+    filters,
+    segmentation,
+    segmentationOptions,
+    onProgress
+  });
 
-  try {
-    const result = builder.generatePlaylist(sessionId);
-
-    sessions.set(sessionId, {
-      created: Date.now(),
-      playlist: result.playlist,
-      script: result.script,
-      tokens: result.tokens,
-      matches: result.matches
-    });
+  if (result.tokens.length === 0) {
+    return { error: { status: 400, code: 'NO_TOKENS', message: 'text contains no words or punctuation' } };
+  }
 
-    const stats = {
-      totalTokens: result.tokens.length,
-      matchedPhrases: result.matches.length,
-      totalClips: result.script.length,
-      phraseClips: result.script.filter(c => c.type === 'phrase').length,
-      staticClips: result.script.filter(c => c.type === 'static').length,
-      totalDuration: result.script.reduce((sum, c) => sum + c.duration, 0)
-    };
+  await sessions.set(sessionId, {
+    created: Date.now(),
+    work: work.slug,
+    segments: work.segments,
+    seed: result.seed,
+    strategy,
+    strategyOptions,
+    filters,
+    segmentation,
+    segmentationOptions,
+    customText: text !== null,
+    playlist: result.playlist,
+    script: result.script,
+    tokens: result.tokens,
+    matches: result.matches
+  });
 
-    console.log(`Generated playlist with ${stats.totalClips} clips (${stats.totalDuration.toFixed(1)}s)`);
+  if (onProgress) {
+    onProgress('store', { sessionId });
+  }
 
-    res.json({
+  // Clip counts and totalDuration cover the text; segmentTiming adds the opener, interstitials and closer
+  const textClips = result.script.filter(c => c.type !== 'interstitial');
+  const stats = {
+    totalTokens: result.tokens.length,
+    matchedPhrases: result.matches.length,
+    totalClips: textClips.length,
+    phraseClips: textClips.filter(c => c.type === 'phrase').length,
+    staticClips: textClips.filter(c => c.type === 'static').length,
+    totalDuration: textClips.reduce((sum, c) => sum + c.duration, 0),
+    ...segmentTiming(result.script, work.segments),
+    unmatchedTokens: result.unmatched,
+    filter: result.filterStats,
+    segmentation: result.segmentationStats
+  };
+
+  console.log(`Generated playlist with ${stats.totalClips} clips (${stats.totalDuration.toFixed(1)}s)`);
+
+  return {
+    response: {
       sessionId,
+      work: work.slug,
+      seed: result.seed,
       playlistUrl: `/${sessionId}.m3u8`,
+      masterPlaylistUrl: `/session/${sessionId}/master.m3u8`,
+      subtitlesUrl: `/session/${sessionId}/subtitles.vtt`,
+      // Seed URLs rebuild from the work's text, so they only replay fixed-text sessions
+      seedUrl: text === null
+        ? buildSeedUrl(result.seed, { work: work.slug, strategy, strategyOptions, filters, segmentation, segmentationOptions })
+        : null,
+      strategy,
       stats
-    });
+    }
+  };
+}
+
+app.post(['/generate', '/works/:slug/generate'], resolveWork, async (req, res) => {
+  const { error, options } = readGenerationRequest(req.body);
+  if (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const result = await generateSession(req.work, options);
+
+    if (result.error) {
+      return sendError(res, result.error);
+    }
+
+    res.json(result.response);
 
   } catch (error) {
     console.error(`Failed to generate playlist: ${error.message}`);
@@ -457,50 +657,522 @@ app.post('/generate', (req, res) => {
   }
 });
 
-app.get('/:sessionId.m3u8', (req, res) => {
+/**
+ * /generate as Server-Sent Events: a "stage" event as each generation stage finishes, with its
+ * counts, then "done" with the /generate response or "error" with { error, code, status }.
+ * Invalid requests are refused before the stream opens, as plain JSON errors.
+ */
+app.post(['/generate/stream', '/works/:slug/generate/stream'], resolveWork, async (req, res) => {
+  const { error, options } = readGenerationRequest(req.body);
+  if (error) {
+    return sendError(res, error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no' // keep proxies from holding events back
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  try {
+    const result = await generateSession(req.work, options, (stage, counts) => send('stage', { stage, ...counts }));
+
+    if (result.error) {
+      const { status, code, message } = result.error;
+      send('error', { error: message, code, status });
+    } else {
+      send('done', result.response);
+    }
+
+  } catch (error) {
+    console.error(`Failed to generate playlist: ${error.message}`);
+    send('error', { error: 'Failed to generate playlist', code: null, status: 500 });
+  }
+
+  res.end();
+});
+
+app.post(['/analyze', '/works/:slug/analyze'], resolveWork, (req, res) => {
+  const { work } = req;
+  const text = req.body?.text ?? null;
+  const segmentation = req.body?.segmentation ?? 'greedy';
+  const segmentationOptions = req.body?.segmentationOptions ?? {};
+
+  const validationError = validateText(text) || validateSegmentation(segmentation, segmentationOptions);
+  if (validationError) {
+    return sendError(res, validationError);
+  }
+
+  try {
+    const tokens = text !== null ? work.builder.normalizeAndTokenize(text) : work.tokens;
+
+    if (!tokens) {
+      throw new Error('No fixed text available in manifest');
+    }
+
+    if (tokens.length === 0) {
+      return sendError(res, { status: 400, code: 'NO_TOKENS', message: 'text contains no words or punctuation' });
+    }
+
+    res.json(work.builder.analyzeCoverage(tokens, { segmentation, segmentationOptions }));
+
+  } catch (error) {
+    console.error(`Failed to analyze text: ${error.message}`);
+    res.status(500).json({ error: 'Failed to analyze text' });
+  }
+});
+
+app.get(['/seed/:seed.m3u8', '/works/:slug/seed/:seed.m3u8'], resolveWork, (req, res) => {
+  const { work } = req;
+  const { seed } = req.params;
+  const options = parseSeedQuery(req.query);
+
+  const validationError = validateSeed(seed) ||
+    validateStrategyRequest(options.strategy, options.strategyOptions) ||
+    validateFilters(options.filters) ||
+    validateSegmentation(options.segmentation, options.segmentationOptions);
+  if (validationError) {
+    return sendError(res, validationError);
+  }
+
+  try {
+    const result = work.builder.generatePlaylist(`seed-${seed}`, {
+      seed,
+      fixedTokens: work.tokens,
+      fixedBreaks: work.breaks,
+      segments: work.segments,
+      ...options
+    });
+
+    res.type('application/vnd.apple.mpegurl');
+    res.send(result.playlist);
+
+  } catch (error) {
+    console.error(`Failed to rebuild playlist for seed ${seed}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to generate playlist' });
+  }
+});
+
+app.post(['/live', '/works/:slug/live'], resolveWork, (req, res) => {
+  const slug = req.work.slug;
+  const { error, options } = readGenerationRequest(req.body);
+  if (error) {
+    return sendError(res, error);
+  }
+
+  if (options.text !== null && normalizeAndTokenize(options.text).length === 0) {
+    return sendError(res, { status: 400, code: 'NO_TOKENS', message: 'text contains no words or punctuation' });
+  }
+
+  if (liveChannels.size >= CONFIG.live.maxChannels) {
+    return sendError(res, { status: 503, code: 'TOO_MANY_CHANNELS', message: 'Too many live channels, try again later' });
+  }
+
+  const { text, strategy, strategyOptions, filters, segmentation, segmentationOptions } = options;
+  const channelId = crypto.randomBytes(16).toString('hex');
+  const seed = options.seed || generateSeed();
+
+  const channel = new LiveChannel({
+    id: channelId,
+    window: CONFIG.live.window,
+    lookahead: CONFIG.live.lookahead,
+    holdBack: CONFIG.live.holdBack,
+    // Each pass uses the work as currently loaded, so a manifest reload takes effect from the next pass
+    generatePass: (index) => {
+      const work = catalog.works.get(slug) || defaultWork();
+      const passSeed = `${seed}-${index}`;
+      const result = work.builder.generatePlaylist(`${channelId}-${index}`, {
+        text,
+        fixedTokens: work.tokens,
+        fixedBreaks: work.breaks,
+        segments: work.segments,
+        seed: passSeed,
+        strategy,
+        strategyOptions,
+        filters,
+        segmentation,
+        segmentationOptions,
+        // Nobody reads a pass's stats, so skip the extra matching they need
+        stats: false
+      });
+      return { seed: passSeed, timeline: work.builder.buildTimeline(result.script, work.segments) };
+    }
+  });
+
+  console.log(`\n=== New Live Channel ===`);
+  console.log(`Work: ${slug}`);
+  console.log(`Channel: ${channelId}`);
+  console.log(`Seed: ${seed}`);
+
+  try {
+    // Generate the first pass now, so failures are reported here rather than to the player
+    channel.advance();
+  } catch (error) {
+    console.error(`Failed to start live channel: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to start live channel' });
+  }
+
+  liveChannels.set(channelId, { channel, work: slug, seed, options });
+
+  res.json({
+    channelId,
+    work: slug,
+    seed,
+    playlistUrl: `/live/${channelId}.m3u8`,
+    channelUrl: `/live/${channelId}`,
+    startedAt: new Date(channel.startedAt).toISOString()
+  });
+});
+
+app.get('/live/:channelId.m3u8', (req, res) => {
+  const live = liveChannels.get(req.params.channelId);
+
+  if (!live) {
+    return res.status(404).send('Channel not found');
+  }
+
+  try {
+    const playlist = live.channel.buildPlaylist();
+
+    // The window moves every few seconds; players must always refetch
+    res.set('Cache-Control', 'no-store');
+    res.type('application/vnd.apple.mpegurl');
+    res.send(playlist);
+
+  } catch (error) {
+    console.error(`Failed to build live playlist ${req.params.channelId}: ${error.message}`);
+    res.status(500).send('Failed to build live playlist');
+  }
+});
+
+app.get('/live/:channelId', (req, res) => {
+  const live = liveChannels.get(req.params.channelId);
+
+  if (!live) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+
+  const state = live.channel.describe();
+  const { text, ...seedOptions } = live.options;
+
+  res.json({
+    ...state,
+    work: live.work,
+    seed: live.seed,
+    playlistUrl: `/live/${live.channel.id}.m3u8`,
+    // Each pass can be replayed on its own, like a /generate session, when it used the work's text
+    passes: state.passes.map(pass => ({
+      ...pass,
+      seedUrl: text === null && SEED_PATTERN.test(pass.seed)
+        ? buildSeedUrl(pass.seed, { ...seedOptions, work: live.work })
+        : null
+    }))
+  });
+});
+
+app.get('/:sessionId.m3u8', async (req, res) => {
   const { sessionId } = req.params;
-  const session = sessions.get(sessionId);
+  const session = await sessions.get(sessionId);
 
   if (!session) {
     return res.status(404).send('Session not found');
   }
 
-  session.lastAccessed = Date.now();
+  await sessions.touch(sessionId);
 
   res.type('application/vnd.apple.mpegurl');
   res.send(session.playlist);
 });
 
-app.get('/session/:sessionId', (req, res) => {
+app.get('/session/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
-  const session = sessions.get(sessionId);
+  const session = await sessions.get(sessionId);
 
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
 
+  await sessions.touch(sessionId);
+
+  // Script entries (interstitials included) carry start/end on the playback timeline
+  const segments = sessionSegments(session);
+  const timeline = sessionWork(session).builder.buildTimeline(session.script, segments);
+  const textClips = session.script.filter(item => item.type !== 'interstitial');
+
   res.json({
     sessionId: sessionId,
+    work: sessionWork(session).slug,
+    seed: session.seed,
+    seedUrl: session.customText ? null : buildSeedUrl(session.seed, session),
+    strategy: session.strategy,
     created: new Date(session.created).toISOString(),
+    lastAccessed: new Date(session.lastAccessed).toISOString(),
     totalTokens: session.tokens.length,
     matchedPhrases: session.matches.length,
-    clips: session.script.length,
-    duration: session.script.reduce((sum, c) => sum + c.duration, 0),
-    script: session.script  // Full script for debugging
+    clips: textClips.length,
+    duration: textClips.reduce((sum, c) => sum + c.duration, 0),
+    ...segmentTiming(session.script, segments),
+    script: timeline.filter(item => item.type !== 'opener' && item.type !== 'closer')
   });
 });
 
+app.get('/session/:sessionId/master.m3u8', async (req, res) => {
+  const { sessionId } = req.params;
+  const session = await sessions.get(sessionId);
+
+  if (!session) {
+    return res.status(404).send('Session not found');
+  }
+
+  await sessions.touch(sessionId);
+
+  res.type('application/vnd.apple.mpegurl');
+  res.send(sessionWork(session).builder.buildMasterPlaylist(sessionId));
+});
+
+app.get('/session/:sessionId/subtitles.m3u8', async (req, res) => {
+  const { sessionId } = req.params;
+  const session = await sessions.get(sessionId);
+
+  if (!session) {
+    return res.status(404).send('Session not found');
+  }
+
+  await sessions.touch(sessionId);
+
+  res.type('application/vnd.apple.mpegurl');
+  res.send(sessionWork(session).builder.buildSubtitlePlaylist(session.script, sessionId, sessionSegments(session)));
+});
+
+app.get('/session/:sessionId/subtitles.vtt', async (req, res) => {
+  const { sessionId } = req.params;
+  const session = await sessions.get(sessionId);
+
+  if (!session) {
+    return res.status(404).send('Session not found');
+  }
+
+  await sessions.touch(sessionId);
+
+  // Every media segment follows a discontinuity, so cues are pinned to the media timestamps
+  // rather than left to the player to line up
+  const timeline = sessionWork(session).builder.buildTimeline(session.script, sessionSegments(session));
+  res.type('text/vtt');
+  res.send(exporters.buildWebVTT(timeline, { mpegts: CONFIG.subtitleMpegts }));
+});
+
+const EXPORT_FORMATS = {
+  edl: { extension: 'edl', type: 'text/plain', build: (timeline, meta) => exporters.buildEDL(timeline, meta) },
+  ffconcat: { extension: 'ffconcat', type: 'text/plain', build: (timeline) => exporters.buildFFConcat(timeline) },
+  json: { extension: 'json', type: 'application/json', build: (timeline, meta) => JSON.stringify(exporters.buildTimelineJSON(timeline, meta), null, 2) },
+  otio: { extension: 'otio', type: 'application/json', build: (timeline, meta) => JSON.stringify(exporters.buildOTIO(timeline, meta), null, 2) }
+};
+
+app.get('/session/:sessionId/export', async (req, res) => {
+  const { sessionId } = req.params;
+  const format = EXPORT_FORMATS[req.query.format || 'json'];
+
+  if (!format) {
+    return sendError(res, {
+      status: 400,
+      code: 'INVALID_FORMAT',
+      message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const session = await sessions.get(sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  await sessions.touch(sessionId);
+
+  // Editing tools and ffmpeg need absolute URLs, so resolve local paths against this server
+  const origin = CONFIG.publicUrl ? CONFIG.publicUrl.replace(/\/$/, '') : `${req.protocol}://${req.get('host')}`;
+  const work = sessionWork(session);
+  const timeline = work.builder.buildTimeline(session.script, sessionSegments(session)).map(item => ({
+    ...item,
+    url: item.url.startsWith('/') ? `${origin}${item.url}` : item.url
+  }));
+
+  const body = format.build(timeline, {
+    title: `${work.title} ${sessionId.slice(0, 8)}`,
+    sessionId,
+    seed: session.seed,
+    fps: CONFIG.exportFrameRate
+  });
+
+  res.attachment(`${sessionId}.${format.extension}`);
+  res.type(format.type);
+  res.send(body);
+});
+
+/**
+ * Render job state with its status and download URLs
+ */
+function renderSummary(job) {
+  return {
+    ...renders.describe(job),
+    statusUrl: `/render/${job.id}`,
+    downloadUrl: job.status === 'done' ? `/render/${job.id}.mp4` : null
+  };
+}
+
+app.post('/session/:sessionId/render', async (req, res) => {
+  const { sessionId } = req.params;
+  const session = await sessions.get(sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  await sessions.touch(sessionId);
+
+  // One render per session: asking again returns the job already queued, running or done
+  const existing = renders.findForSession(sessionId);
+  if (existing) {
+    return res.json(renderSummary(existing));
+  }
+
+  const work = sessionWork(session);
+  const job = renders.enqueue({
+    sessionId,
+    filename: `${work.slug}-${session.seed}.mp4`,
+    timeline: work.builder.buildTimeline(session.script, sessionSegments(session))
+  });
+
+  if (!job) {
+    return sendError(res, { status: 503, code: 'RENDER_QUEUE_FULL', message: 'Too many renders waiting, try again later' });
+  }
+
+  console.log(`Queued render ${job.id} for session ${sessionId}`);
+  res.status(202).json(renderSummary(job));
+});
+
+app.get('/render/:jobId.mp4', (req, res) => {
+  const job = renders.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Render not found' });
+  }
+
+  if (job.status !== 'done') {
+    return sendError(res, { status: 409, code: 'RENDER_NOT_READY', message: `Render is ${job.status}` });
+  }
+
+  res.download(job.outputPath, job.filename, { headers: { 'Content-Type': 'video/mp4' } });
+});
+
+app.get('/render/:jobId', (req, res) => {
+  const job = renders.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Render not found' });
+  }
+
+  res.json(renderSummary(job));
+});
+
 app.use(express.static(__dirname));
 
-console.log(`\n✓ Clips served from: ${CONFIG.r2BaseUrl || 'relative paths'}`)
-
-app.listen(CONFIG.port, () => {
-  console.log(`\n=== HLS Generator Server ===`);
-  console.log(`Port: ${CONFIG.port}`);
-  console.log(`Manifest: ${CONFIG.manifestPath}`);
-  console.log(`\nServer running at http://localhost:${CONFIG.port}`);
-  console.log(`\nAPI Endpoints:`);
-  console.log(`  POST /generate - Generate playlist from text`);
-  console.log(`  GET /{sessionId}.m3u8 - Get playlist`);
-  console.log(`  GET /session/{sessionId} - Get session info`);
-});
\ No newline at end of file
+// Return JSON errors for malformed or oversized request bodies
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, { status: 413, code: 'BODY_TOO_LARGE', message: 'Request body too large' });
+  }
+  next(err);
+});
+
+/**
+ * Start session cleanup and listen on the configured port
+ * Not called when the module is required (e.g. by tests), which only need `app`.
+ */
+function startServer() {
+  setInterval(async () => {
+    try {
+      const expired = await sessions.expire();
+      for (const sessionId of expired) {
+        console.log(`Cleaned up expired session: ${sessionId}`);
+      }
+    } catch (error) {
+      console.error(`Session cleanup failed: ${error.message}`);
+    }
+
+    try {
+      for (const jobId of await renders.expire()) {
+        console.log(`Removed expired render: ${jobId}`);
+      }
+    } catch (error) {
+      console.error(`Render cleanup failed: ${error.message}`);
+    }
+
+    for (const [channelId, { channel }] of liveChannels) {
+      if (Date.now() - channel.lastAccessed > CONFIG.live.idleTimeout) {
+        liveChannels.delete(channelId);
+        console.log(`Closed idle live channel: ${channelId}`);
+      }
+    }
+  }, CONFIG.cleanupInterval);
+
+  process.on('SIGHUP', () => {
+    reloadManifest('SIGHUP');
+  });
+
+  if (CONFIG.manifestWatch) {
+    watchCatalogFiles();
+  }
+
+  console.log(`\n✓ Clips served from: ${CONFIG.r2BaseUrl || 'relative paths'}`)
+  console.log(`✓ Renders read clips from: ${path.resolve(CONFIG.render.clipsDir)}`);
+
+  return app.listen(CONFIG.port, () => {
+    console.log(`\n=== HLS Generator Server ===`);
+    console.log(`Port: ${CONFIG.port}`);
+    console.log(`Manifest: ${CONFIG.manifestPath}${CONFIG.manifestWatch ? ' (watching for changes)' : ''}`);
+    console.log(`Works: ${[...catalog.works.keys()].join(', ')} (default ${catalog.defaultSlug})`);
+    console.log(`Sessions: ${CONFIG.sessionStore} (expire by ${CONFIG.sessionExpireBy})`);
+    console.log(`\nServer running at http://localhost:${CONFIG.port}`);
+    console.log(`\nAPI Endpoints:`);
+    console.log(`  POST /generate - Generate playlist (optional { text })`);
+    console.log(`  POST /generate/stream - Generate with progress events (SSE)`);
+    console.log(`  GET /works - List works; POST /works/{slug}/generate for a specific one`);
+    console.log(`  POST /analyze - Coverage report for text (no session)`);
+    console.log(`  GET /{sessionId}.m3u8 - Get playlist`);
+    console.log(`  GET /seed/{seed}.m3u8 - Rebuild playlist from seed (no session)`);
+    console.log(`  POST /live - Start a live channel; GET /live/{channelId}.m3u8 never ends`);
+    console.log(`  GET /session/{sessionId} - Get session info`);
+    console.log(`  GET /session/{sessionId}/master.m3u8 - Master playlist with subtitles`);
+    console.log(`  GET /session/{sessionId}/subtitles.vtt - WebVTT captions`);
+    console.log(`  GET /session/{sessionId}/export?format=edl|ffconcat|json|otio - Export timeline`);
+    console.log(`  POST /session/{sessionId}/render - Render to MP4; GET /render/{jobId}[.mp4] - status, download`);
+    if (CONFIG.adminToken) {
+      console.log(`  POST /admin/reload-manifest - Reload the manifest (Bearer token)`);
+    }
+    console.log(`\nSelection strategies: ${STRATEGY_NAMES.join(', ')}`);
+    console.log(`\nSend SIGHUP to reload the manifest`);
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  // Getter, since reloadManifest replaces the builder; the default work's builder is exported for tests
+  get builder() {
+    return defaultWork().builder;
+  },
+  sessions,
+  reloadManifest,
+  HLSBuilder,
+  CONFIG,
+  startServer
+};
@@ -0,0 +1,229 @@
+/**
+ * Live Playlists
+ * A live channel plays pass after pass of a work as one never-ending HLS stream.
+ *
+ * The channel runs on a wall clock: at any moment it has "aired" every segment that
+ * starts before now. Each playlist request returns a sliding window of recently aired
+ * segments, with EXT-X-MEDIA-SEQUENCE and EXT-X-DISCONTINUITY-SEQUENCE counting the
+ * segments (and their DISCONTINUITY tags) that have slid out. When the clock nears
+ * the end of the last pass, the next freshly randomized pass is appended.
+ *
+ * Passes are only generated when a playlist is requested, so a channel nobody fetched
+ * for a while would owe every pass it missed. Instead its clock skips ahead to the end
+ * of the last pass, and no request generates more than maxAppend passes.
+ */
+
+class LiveChannel {
+  /**
+   * generatePass(index) returns { seed, timeline } for pass `index`; timeline entries
+   * need url and duration (see HLSBuilder.buildTimeline).
+   */
+  constructor({
+    id,
+    generatePass,
+    window = 120, // seconds of aired segments each playlist lists
+    lookahead = 60, // append the next pass this many seconds before the last one ends
+    holdBack = 30, // start the clock this far in, so the first playlist has something to buffer
+    targetDuration = 10, // raised to the longest segment seen, as HLS requires
+    maxAppend = 1, // most passes generated for one request; each blocks the event loop while it runs
+    now = Date.now()
+  }) {
+    this.id = id;
+    this.generatePass = generatePass;
+    this.window = window;
+    this.lookahead = lookahead;
+    this.targetDuration = targetDuration;
+    this.maxAppend = maxAppend;
+
+    this.startedAt = now - holdBack * 1000;
+    this.lastAccessed = now;
+
+    // Passes still inside the window or ahead of it; older ones are dropped
+    this.passes = [];
+    this.nextPass = 0;
+    this.nextSequence = 0;
+    this.end = 0;
+  }
+
+  /**
+   * Seconds since the channel started
+   */
+  position(now = Date.now()) {
+    return (now - this.startedAt) / 1000;
+  }
+
+  /**
+   * Append the next pass. Only its URLs and timing are kept.
+   */
+  appendPass() {
+    const index = this.nextPass++;
+    const { seed, timeline } = this.generatePass(index);
+
+    const pass = {
+      index,
+      seed,
+      start: this.end,
+      firstSequence: this.nextSequence,
+      urls: timeline.map(item => item.url),
+      durations: timeline.map(item => item.duration),
+      starts: new Float64Array(timeline.length)
+    };
+
+    let position = pass.start;
+    pass.durations.forEach((duration, i) => {
+      pass.starts[i] = position;
+      position += duration;
+    });
+    pass.end = position;
+
+    this.targetDuration = Math.max(this.targetDuration, Math.ceil(Math.max(0, ...pass.durations)));
+
+    this.passes.push(pass);
+    this.nextSequence += timeline.length;
+    this.end = pass.end;
+
+    return pass;
+  }
+
+  /**
+   * Move the clock so that the end of the last pass airs now
+   */
+  skipAhead(now) {
+    const skipped = this.position(now) - this.end;
+    this.startedAt += skipped * 1000;
+    console.log(`Live channel ${this.id}: skipped ${skipped.toFixed(1)}s ahead to pass ${this.nextPass}`);
+  }
+
+  /**
+   * Make sure passes cover the window around now, and drop passes that have aired out of it
+   * Returns the channel position.
+   */
+  advance(now = Date.now()) {
+    // Idle for more than a window: nothing aired since would still be listed
+    if (this.passes.length > 0 && this.position(now) - this.end > this.window) {
+      this.skipAhead(now);
+    }
+
+    for (let appended = 0; this.end < this.position(now) + this.lookahead && appended < this.maxAppend; appended++) {
+      const pass = this.appendPass();
+
+      // An empty pass would never advance the clock
+      if (pass.end === pass.start) {
+        throw new Error(`Live channel ${this.id}: pass ${pass.index} has no segments`);
+      }
+    }
+
+    // Passes too short to catch up within maxAppend
+    if (this.end < this.position(now)) {
+      this.skipAhead(now);
+    }
+
+    const position = this.position(now);
+
+    while (this.passes.length > 1 && this.passes[0].end <= position - this.window) {
+      this.passes.shift();
+    }
+
+    return position;
+  }
+
+  /**
+   * Segments aired in the window ending at a position, oldest first
+   */
+  segmentsAt(position) {
+    const segments = [];
+
+    for (const pass of this.passes) {
+      if (pass.end <= position - this.window || pass.start > position) {
+        continue;
+      }
+
+      // First segment still in the window (binary search on end time)
+      let low = 0;
+      let high = pass.urls.length - 1;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (pass.starts[mid] + pass.durations[mid] <= position - this.window) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      for (let i = low; i < pass.urls.length && pass.starts[i] <= position; i++) {
+        segments.push({
+          sequence: pass.firstSequence + i,
+          pass: pass.index,
+          start: pass.starts[i],
+          duration: pass.durations[i],
+          url: pass.urls[i]
+        });
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Build the live media playlist as of now
+   * Every segment is preceded by a DISCONTINUITY tag (clips come from different sources),
+   * so the discontinuity sequence advances with the media sequence.
+   */
+  buildPlaylist(now = Date.now()) {
+    this.lastAccessed = now;
+    const position = this.advance(now);
+
+    const segments = this.segmentsAt(position);
+    const firstSequence = segments.length > 0 ? segments[0].sequence : 0;
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${this.targetDuration}`,
+      `#EXT-X-MEDIA-SEQUENCE:${firstSequence}`,
+      `#EXT-X-DISCONTINUITY-SEQUENCE:${firstSequence}`,
+      `# Channel: ${this.id}`
+    ];
+
+    let pass = null;
+    for (const segment of segments) {
+      if (segment.pass !== pass) {
+        pass = segment.pass;
+        lines.push(`# Pass: ${pass}`);
+      }
+      lines.push('#EXT-X-DISCONTINUITY');
+      lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(this.startedAt + segment.start * 1000).toISOString()}`);
+      lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+      lines.push(segment.url);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Channel state for GET /live/{channelId}
+   */
+  describe(now = Date.now()) {
+    const position = this.advance(now);
+
+    const current = this.passes.find(pass => pass.start <= position && position < pass.end);
+
+    return {
+      channelId: this.id,
+      startedAt: new Date(this.startedAt).toISOString(),
+      position,
+      currentPass: current ? current.index : null,
+      passes: this.passes.map(pass => ({
+        index: pass.index,
+        seed: pass.seed,
+        startedAt: new Date(this.startedAt + pass.start * 1000).toISOString(),
+        duration: pass.end - pass.start,
+        clips: pass.urls.length
+      }))
+    };
+  }
+}
+
+module.exports = {
+  LiveChannel
+};
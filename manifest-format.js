@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Manifest Formats
+ * Clip filename parsing, and the compact manifest format.
+ *
+ * The compact format drops phraseMap's Archive URLs and the phrases that have no clips.
+ * Network and show names are interned, and each clip is a tuple:
+ *
+ *   {
+ *     format: 'compact', formatVersion: 1,
+ *     version, generated, statistics, fixedText, fixedTokens, staticClips, segments,  // as in the JSON manifest
+ *     strings: ['', 'CSPAN', 'Washington_Journal', ...],  // interned networks and show titles
+ *     sources: [[network, 'YYYYMMDD', 'HHMMSS', title], ...],  // indexes into strings; title 0 = none
+ *     phraseClips: { phrase: [[source, start, end, duration, link?], ...] },
+ *     unlistedPhrases: [phrase, ...]  // have clips but no phraseMap entry, so never matched
+ *   }
+ *
+ * A tuple's source is an index into sources, or the literal filename if it can't be rebuilt.
+ * link is absent when phraseMap had no URL for the clip. Otherwise it is 1 for the
+ * standard URL with the clip's own start/end, [start, end] for the standard URL with
+ * exact times, or the literal URL.
+ *
+ * Usage:
+ *   node manifest-format.js compact clips-manifest.json clips-manifest.compact.json
+ */
+
+const fs = require('fs');
+
+const COMPACT_FORMAT = 'compact';
+const COMPACT_FORMAT_VERSION = 1;
+
+/**
+ * Parse an Archive.org TV clip filename
+ * Format: NETWORK_YYYYMMDD_HHMMSS[_Show_Title]_start_end_phrase_words.ts
+ * Example: CSPAN2_20180819_170000_Michael_Chertoff_Exploding_Data_1234_1294_phrase.ts
+ * The phrase suffix is stripped using the clip's text when it matches, since
+ * show titles and phrases can both contain digits and underscores.
+ */
+function parseClipFilename(filename, text = null) {
+  const name = filename.replace(/\.ts$/, '');
+  const head = name.match(/^([A-Za-z0-9]+)_(\d{8})_(\d{6})_(.+)$/);
+
+  if (!head) {
+    return null;
+  }
+
+  const [, network, date, time, rest] = head;
+
+  let parts = null;
+  const phraseSuffix = text ? text.replace(/[^\w]+/g, '_') : null;
+
+  if (phraseSuffix && rest.endsWith(`_${phraseSuffix}`)) {
+    parts = rest.slice(0, -(phraseSuffix.length + 1)).match(/^(?:(.*)_)?(\d+)_(\d+)$/);
+  }
+  if (!parts) {
+    parts = rest.match(/^(?:(.*)_)?(\d+)_(\d+)_.+$/);
+  }
+  if (!parts) {
+    return null;
+  }
+
+  const [, title = '', start, end] = parts;
+
+  return {
+    network,
+    date,
+    time,
+    title,
+    identifier: title ? `${network}_${date}_${time}_${title}` : `${network}_${date}_${time}`,
+    start: Number(start),
+    end: Number(end)
+  };
+}
+
+/**
+ * Filename of a phrase clip cut from a broadcast
+ */
+function clipFilename(identifier, start, end, phrase) {
+  return `${identifier}_${start}_${end}_${phrase.replace(/[^\w]+/g, '_')}.ts`;
+}
+
+/**
+ * Archive.org details path for a phrase clip, as the manifest pipeline writes it
+ */
+function archivePath(identifier, start, end, phrase) {
+  return `/details/${identifier}/start/${start}/end/${end}?q=%22${phrase.replace(/ /g, '+')}%22`;
+}
+
+/**
+ * The phraseMap URL HLSBuilder.getProvenance pairs with a clip:
+ * the first with the clip's identifier and (whole-second) start time
+ */
+function findArchiveUrl(urls, parsed) {
+  const prefix = `/details/${parsed.identifier}/start/`;
+
+  return (urls || []).find(url => {
+    const match = url.startsWith(prefix) && url.match(/\/start\/([\d.]+)\/end\/([\d.]+)/);
+    return match && Math.floor(Number(match[1])) === parsed.start;
+  }) || null;
+}
+
+function isCompactManifest(manifest) {
+  return manifest?.format === COMPACT_FORMAT;
+}
+
+/**
+ * Convert a JSON manifest to the compact format
+ */
+function compactManifest(manifest) {
+  const strings = [''];
+  const stringIndex = new Map([['', 0]]);
+  const sources = [];
+  const sourceIndex = new Map();
+
+  const intern = (value) => {
+    if (!stringIndex.has(value)) {
+      stringIndex.set(value, strings.length);
+      strings.push(value);
+    }
+    return stringIndex.get(value);
+  };
+
+  const source = (parsed) => {
+    if (!sourceIndex.has(parsed.identifier)) {
+      sourceIndex.set(parsed.identifier, sources.length);
+      sources.push([intern(parsed.network), parsed.date, parsed.time, intern(parsed.title)]);
+    }
+    return sourceIndex.get(parsed.identifier);
+  };
+
+  const phraseMap = manifest.phraseMap || {};
+  const phraseClips = {};
+  const unlistedPhrases = [];
+
+  for (const [phrase, clips] of Object.entries(manifest.phraseClips || {})) {
+    if (!phraseMap[phrase]) {
+      unlistedPhrases.push(phrase);
+    }
+
+    phraseClips[phrase] = clips.map(clip => {
+      const parsed = parseClipFilename(clip.filename, phrase);
+      const rebuildable = parsed &&
+        clipFilename(parsed.identifier, parsed.start, parsed.end, phrase) === clip.filename;
+
+      const tuple = rebuildable
+        ? [source(parsed), parsed.start, parsed.end, clip.duration]
+        : [clip.filename, parsed?.start ?? 0, parsed?.end ?? 0, clip.duration];
+
+      const url = parsed && findArchiveUrl(phraseMap[phrase], parsed);
+      if (url) {
+        const [, start, end] = url.match(/\/start\/([\d.]+)\/end\/([\d.]+)/);
+
+        if (!rebuildable || archivePath(parsed.identifier, Number(start), Number(end), phrase) !== url) {
+          tuple.push(url);
+        } else if (Number(start) === parsed.start && Number(end) === parsed.end) {
+          tuple.push(1);
+        } else {
+          tuple.push([Number(start), Number(end)]);
+        }
+      }
+
+      return tuple;
+    });
+  }
+
+  return {
+    format: COMPACT_FORMAT,
+    formatVersion: COMPACT_FORMAT_VERSION,
+    version: manifest.version,
+    generated: manifest.generated,
+    statistics: manifest.statistics,
+    fixedText: manifest.fixedText,
+    fixedTokens: manifest.fixedTokens,
+    staticClips: manifest.staticClips,
+    segments: manifest.segments,
+    strings,
+    sources,
+    phraseClips,
+    unlistedPhrases
+  };
+}
+
+/**
+ * Load a compact manifest into the shape HLSBuilder uses
+ * Clip lists are built up front. Each phrase's phraseMap URLs (only the ones getProvenance
+ * needs, one per linked clip) are built on first read from just the clips' link fields,
+ * so nothing keeps the tuples alive after loading.
+ */
+function expandManifest(compact) {
+  if (compact.formatVersion !== COMPACT_FORMAT_VERSION) {
+    throw new Error(`Unsupported compact manifest version: ${compact.formatVersion}`);
+  }
+
+  const { strings, sources } = compact;
+  const identifiers = sources.map(([network, date, time, title]) =>
+    (title ? [strings[network], date, time, strings[title]] : [strings[network], date, time]).join('_')
+  );
+  const unlisted = new Set(compact.unlistedPhrases || []);
+
+  const phraseMap = {};
+  const phraseClips = {};
+
+  for (const [phrase, tuples] of Object.entries(compact.phraseClips)) {
+    const suffix = `${phrase.replace(/[^\w]+/g, '_')}.ts`;
+    const links = [];
+
+    // join() builds flat strings; template literals would leave a rope per filename
+    phraseClips[phrase] = tuples.map(([source, start, end, duration, link]) => {
+      if (typeof link === 'string') {
+        links.push(link);
+      } else if (link !== undefined) {
+        links.push(Array.isArray(link) ? [source, ...link] : [source, start, end]);
+      }
+      return {
+        filename: typeof source === 'number' ? [identifiers[source], start, end, suffix].join('_') : source,
+        duration
+      };
+    });
+
+    if (!unlisted.has(phrase)) {
+      Object.defineProperty(phraseMap, phrase, {
+        enumerable: true,
+        configurable: true,
+        get() {
+          const urls = links.map(link => typeof link === 'string'
+            ? link
+            : archivePath(identifiers[link[0]], link[1], link[2], phrase));
+          Object.defineProperty(phraseMap, phrase, { value: urls, enumerable: true, writable: true });
+          return urls;
+        }
+      });
+    }
+  }
+
+  return {
+    version: compact.version,
+    generated: compact.generated,
+    statistics: compact.statistics,
+    fixedText: compact.fixedText,
+    fixedTokens: compact.fixedTokens,
+    phraseMap,
+    phraseClips,
+    staticClips: compact.staticClips,
+    segments: compact.segments
+  };
+}
+
+/**
+ * Check that a compact manifest expands back to the same clips and matchable phrases
+ * Returns a list of differences (empty when equivalent)
+ */
+function compareExpanded(original, expanded) {
+  const differences = [];
+  const matchable = (manifest) => Object.keys(manifest.phraseClips || {})
+    .filter(phrase => manifest.phraseMap?.[phrase] && manifest.phraseClips[phrase].length > 0)
+    .sort();
+
+  if (JSON.stringify(matchable(original)) !== JSON.stringify(matchable(expanded))) {
+    differences.push('matchable phrases differ');
+  }
+
+  for (const [phrase, clips] of Object.entries(original.phraseClips || {})) {
+    const copy = expanded.phraseClips[phrase] || [];
+    clips.forEach((clip, i) => {
+      if (copy[i]?.filename !== clip.filename || copy[i]?.duration !== clip.duration) {
+        differences.push(`clip ${i} of "${phrase}": ${clip.filename} became ${copy[i]?.filename}`);
+      }
+    });
+  }
+
+  return differences;
+}
+
+function main() {
+  const [command, input, output] = process.argv.slice(2);
+
+  if (command !== 'compact' || !input || !output) {
+    console.error('Usage: node manifest-format.js compact <manifest.json> <output.json>');
+    process.exit(2);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(input, 'utf8'));
+  if (isCompactManifest(manifest)) {
+    console.error(`${input} is already compact`);
+    process.exit(1);
+  }
+
+  const compact = compactManifest(manifest);
+  const differences = compareExpanded(manifest, expandManifest(compact));
+
+  if (differences.length > 0) {
+    console.error(`Conversion check failed (${differences.length} differences):`);
+    differences.slice(0, 20).forEach(difference => console.error(`  ${difference}`));
+    process.exit(1);
+  }
+
+  const data = JSON.stringify(compact);
+  fs.writeFileSync(output, data);
+
+  const clips = Object.values(compact.phraseClips).flat();
+  console.log(`Wrote ${output}`);
+  console.log(`  - ${fs.statSync(input).size} bytes -> ${Buffer.byteLength(data)} bytes`);
+  console.log(`  - ${Object.keys(compact.phraseClips).length} phrases with clips, ${clips.length} clips`);
+  console.log(`  - ${compact.sources.length} broadcasts, ${compact.strings.length - 1} interned names`);
+  console.log(`  - ${clips.filter(clip => typeof clip[0] === 'string').length} clips with literal filenames`);
+}
+
+module.exports = {
+  COMPACT_FORMAT,
+  parseClipFilename,
+  isCompactManifest,
+  compactManifest,
+  expandManifest
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+/**
+ * Manifest Validator
+ * Checks a clip manifest loaded through HLSBuilder: every referenced clip exists,
+ * durations are sane, every fixed token has a clip, and no filename is listed twice.
+ *
+ * Usage:
+ *   node manifest-validator.js [--manifest clips-manifest.json] [--clips-dir ./hls_clips | --base-url https://... | --skip-existence]
+ *
+ * Checks every work in works.json with its manifest, text and segments, or only the
+ * --manifest file when one is given. Prints a JSON report per work to stdout (progress
+ * goes to stderr) and exits 1 if any errors were found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+const { HLSBuilder, resolveSegments } = require('./hls-builder');
+const { normalizeAndTokenize } = require('./tokenizer');
+const { loadWorks } = require('./works');
+
+const DEFAULT_OPTIONS = {
+  clipsDir: null, // local directory containing trimmed/ and static/
+  baseUrl: null, // clip host, checked with HEAD requests (same layout as R2_BASE_URL)
+  skipExistence: false, // without a clip source, skip existence with a warning instead of failing
+  segments: null, // { opener, closer, interstitial }, each { filename, duration } or null
+  tokens: null, // text whose every token needs a clip; defaults to the manifest's fixed text
+  targetDuration: 10, // #EXT-X-TARGETDURATION; no segment may be longer
+  minWordDuration: 0.05, // seconds per word below which a phrase clip is suspicious
+  maxWordDuration: 2.5, // seconds per word above which a phrase clip is suspicious
+  concurrency: 16, // parallel HEAD requests when checking a base URL
+  requestTimeout: 10000
+};
+
+/**
+ * Every clip the manifest references, tagged with where it came from
+ */
+function collectClips(builder, segments) {
+  const clips = [];
+
+  for (const [phrase, phraseClips] of Object.entries(builder.phraseClips)) {
+    for (const clip of phraseClips) {
+      clips.push({ type: 'phrase', key: phrase, ...clip });
+    }
+  }
+
+  for (const [group, entries] of Object.entries(builder.staticClips)) {
+    for (const [key, clip] of Object.entries(entries || {})) {
+      clips.push({ type: 'static', group, key, ...clip });
+    }
+  }
+
+  for (const [name, segment] of Object.entries(segments || {})) {
+    if (segment) {
+      clips.push({ type: name, key: name, ...segment });
+    }
+  }
+
+  return clips;
+}
+
+/**
+ * Zero, invalid, over-target and outlier durations
+ */
+function checkDurations(clips, { targetDuration, minWordDuration, maxWordDuration }) {
+  const issues = [];
+
+  for (const clip of clips) {
+    const where = { filename: clip.filename, type: clip.type, key: clip.key };
+
+    if (typeof clip.duration !== 'number' || !Number.isFinite(clip.duration) || clip.duration <= 0) {
+      issues.push({
+        severity: 'error',
+        code: 'INVALID_DURATION',
+        message: `Duration must be a positive number, got ${JSON.stringify(clip.duration)}`,
+        ...where
+      });
+      continue;
+    }
+
+    if (clip.duration > targetDuration) {
+      issues.push({
+        severity: 'error',
+        code: 'DURATION_EXCEEDS_TARGET',
+        message: `Duration ${clip.duration}s exceeds the playlist target duration of ${targetDuration}s`,
+        ...where
+      });
+      continue;
+    }
+
+    if (clip.type === 'phrase') {
+      const perWord = clip.duration / clip.key.split(' ').length;
+
+      if (perWord < minWordDuration || perWord > maxWordDuration) {
+        issues.push({
+          severity: 'warning',
+          code: 'DURATION_OUTLIER',
+          message: `${perWord.toFixed(3)}s per word is outside ${minWordDuration}-${maxWordDuration}s`,
+          ...where
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Filenames listed more than once
+ * Twice in one phrase's list skews selection (error); shared between keys is usually an alias (warning).
+ */
+function checkDuplicates(clips) {
+  const issues = [];
+  const byFilename = new Map();
+
+  for (const clip of clips) {
+    if (!byFilename.has(clip.filename)) {
+      byFilename.set(clip.filename, []);
+    }
+    byFilename.get(clip.filename).push(clip);
+  }
+
+  for (const [filename, entries] of byFilename) {
+    if (entries.length < 2) {
+      continue;
+    }
+
+    const keys = entries.map(entry => entry.key);
+    const repeatedKey = keys.some((key, i) => keys.indexOf(key) !== i);
+
+    issues.push({
+      severity: repeatedKey ? 'error' : 'warning',
+      code: 'DUPLICATE_FILENAME',
+      message: repeatedKey
+        ? `Listed ${entries.length} times, including more than once for the same key`
+        : `Shared by ${entries.length} keys: ${keys.join(', ')}`,
+      filename,
+      keys
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Fixed-text tokens with neither a phrase nor a static clip, and a missing default punctuation clip
+ */
+function checkCoverage(builder, tokens = builder.fixedTokens) {
+  const issues = [];
+
+  if (!builder.staticClips.punctuation?.['.']) {
+    issues.push({
+      severity: 'error',
+      code: 'MISSING_DEFAULT_PUNCTUATION',
+      message: 'No "." punctuation clip; unknown punctuation has nothing to fall back to'
+    });
+  }
+
+  if (!tokens) {
+    issues.push({
+      severity: 'warning',
+      code: 'NO_FIXED_TEXT',
+      message: 'Manifest has no fixedTokens; every request will need custom text'
+    });
+    return issues;
+  }
+
+  for (const entry of builder.analyzeCoverage(tokens).tokens) {
+    if (entry.source === 'none') {
+      issues.push({
+        severity: 'error',
+        code: 'UNCOVERED_TOKEN',
+        message: `Fixed token ${JSON.stringify(entry.token)} has no phrase or static clip`,
+        index: entry.index,
+        token: entry.token
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Confirm each clip exists in a local directory or behind a base URL
+ */
+async function checkExistence(builder, clips, { clipsDir, baseUrl, concurrency, requestTimeout }) {
+  const issues = [];
+  const relativePath = (clip) => builder.clipPath(clip).replace(/^\/hls_clips\//, '');
+
+  if (clipsDir) {
+    for (const clip of clips) {
+      if (!fs.existsSync(path.join(clipsDir, relativePath(clip)))) {
+        issues.push({
+          severity: 'error',
+          code: 'MISSING_CLIP',
+          message: `Not found in ${clipsDir}`,
+          filename: clip.filename,
+          type: clip.type,
+          key: clip.key,
+          path: relativePath(clip)
+        });
+      }
+    }
+    return issues;
+  }
+
+  // Each file only needs checking once, however many keys share it
+  const unique = [...new Map(clips.map(clip => [relativePath(clip), clip])).values()];
+  let next = 0;
+  let checked = 0;
+
+  const worker = async () => {
+    while (next < unique.length) {
+      const clip = unique[next++];
+      const url = `${baseUrl.replace(/\/$/, '')}${builder.clipPath(clip)}`;
+      const where = { filename: clip.filename, type: clip.type, key: clip.key, url };
+
+      try {
+        const res = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(requestTimeout) });
+        if (res.status === 404) {
+          issues.push({ severity: 'error', code: 'MISSING_CLIP', message: 'HEAD returned 404', ...where });
+        } else if (!res.ok) {
+          issues.push({ severity: 'error', code: 'CLIP_CHECK_FAILED', message: `HEAD returned ${res.status}`, ...where });
+        }
+      } catch (error) {
+        issues.push({ severity: 'error', code: 'CLIP_CHECK_FAILED', message: error.message, ...where });
+      }
+
+      if (++checked % 500 === 0) {
+        console.error(`Checked ${checked}/${unique.length} clips...`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, unique.length) }, worker));
+
+  return issues;
+}
+
+/**
+ * Validate a loaded HLSBuilder's manifest
+ * Existence is checked in clipsDir or at baseUrl; with neither, the report fails unless skipExistence is set.
+ */
+async function validateManifest(builder, options = {}) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+
+  const clips = collectClips(builder, options.segments);
+  const issues = [
+    ...checkDurations(clips, options),
+    ...checkDuplicates(clips),
+    ...checkCoverage(builder, options.tokens || builder.fixedTokens)
+  ];
+
+  if (options.clipsDir || options.baseUrl) {
+    issues.push(...await checkExistence(builder, clips, options));
+  } else {
+    issues.push({
+      severity: options.skipExistence ? 'warning' : 'error',
+      code: 'EXISTENCE_NOT_CHECKED',
+      message: options.skipExistence
+        ? 'Existence check skipped; clip files were not checked'
+        : 'No clips directory or base URL given; pass one, or skip the existence check explicitly'
+    });
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+
+  return {
+    ok: errors === 0,
+    manifest: {
+      version: builder.manifest.version || null,
+      generated: builder.manifest.generated || null
+    },
+    clipSource: options.clipsDir
+      ? { type: 'directory', location: options.clipsDir }
+      : options.baseUrl ? { type: 'url', location: options.baseUrl } : null,
+    summary: {
+      phraseClips: clips.filter(clip => clip.type === 'phrase').length,
+      staticClips: clips.filter(clip => clip.type === 'static').length,
+      errors,
+      warnings: issues.length - errors
+    },
+    issues
+  };
+}
+
+/**
+ * Parse --flag value pairs and --switches, rejecting numbers out of range
+ */
+function parseArgs(argv) {
+  const flags = {
+    '--manifest': 'manifestPath',
+    '--clips-dir': 'clipsDir',
+    '--base-url': 'baseUrl',
+    '--concurrency': 'concurrency',
+    '--min-word-duration': 'minWordDuration',
+    '--max-word-duration': 'maxWordDuration'
+  };
+  const switches = {
+    '--skip-existence': 'skipExistence'
+  };
+  const numeric = {
+    concurrency: value => Number.isInteger(value) && value > 0 ? null : 'a positive integer',
+    minWordDuration: value => Number.isFinite(value) && value >= 0 ? null : 'a non-negative number',
+    maxWordDuration: value => Number.isFinite(value) && value >= 0 ? null : 'a non-negative number'
+  };
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (switches[argv[i]]) {
+      args[switches[argv[i]]] = true;
+      continue;
+    }
+
+    const key = flags[argv[i]];
+    const value = argv[++i];
+    if (!key || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i - 1]}`);
+    }
+
+    if (numeric[key]) {
+      // Number('') is 0, so blank values are refused before converting
+      const number = value.trim() === '' ? NaN : Number(value);
+      const expected = numeric[key](number);
+      if (expected) {
+        throw new Error(`${argv[i - 1]} must be ${expected}, got ${JSON.stringify(value)}`);
+      }
+      args[key] = number;
+    } else {
+      args[key] = value;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * What to check: the --manifest file on its own, or else every work in the works file
+ * Throws if the works file is invalid.
+ */
+function validationTargets(args) {
+  if (args.manifestPath) {
+    return [{ work: null, manifestPath: args.manifestPath, text: null, segments: {} }];
+  }
+
+  const { works } = loadWorks(CONFIG.worksPath, { manifestPath: CONFIG.manifestPath });
+  return works.map(work => ({ work: work.slug, manifestPath: work.manifestPath, text: work.text, segments: work.segments }));
+}
+
+/**
+ * Load each target's manifest (once per file, as the server does) and validate it
+ * with the work's text and segments. A manifest that fails to load fails its works.
+ */
+async function validateTargets(targets, args) {
+  const builders = new Map();
+  const reports = [];
+
+  for (const target of targets) {
+    const key = path.resolve(target.manifestPath);
+    let report;
+
+    try {
+      if (!builders.has(key)) {
+        builders.set(key, new HLSBuilder(target.manifestPath));
+      }
+      const builder = builders.get(key);
+
+      report = await validateManifest(builder, {
+        ...args,
+        baseUrl: args.baseUrl || (args.clipsDir ? null : CONFIG.r2BaseUrl),
+        segments: resolveSegments(target.segments, builder.segments),
+        tokens: target.text !== null ? normalizeAndTokenize(target.text) : builder.fixedTokens
+      });
+    } catch (error) {
+      report = {
+        ok: false,
+        issues: [{ severity: 'error', code: 'MANIFEST_LOAD_FAILED', message: error.message }]
+      };
+    }
+
+    reports.push({ work: target.work, manifestPath: target.manifestPath, ...report });
+  }
+
+  return reports;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node manifest-validator.js [--manifest FILE] [--clips-dir DIR | --base-url URL | --skip-existence]');
+    console.error('       [--concurrency N] [--min-word-duration SECONDS] [--max-word-duration SECONDS]');
+    process.exit(2);
+  }
+
+  // Keep stdout for the JSON report: manifest loading logs go to stderr
+  const log = console.log;
+  console.log = console.error;
+
+  let works;
+  try {
+    works = await validateTargets(validationTargets(args), args);
+  } catch (error) {
+    works = [{
+      work: null,
+      manifestPath: null,
+      ok: false,
+      issues: [{ severity: 'error', code: 'WORKS_LOAD_FAILED', message: error.message }]
+    }];
+  } finally {
+    console.log = log;
+  }
+
+  const ok = works.every(report => report.ok);
+  process.stdout.write(JSON.stringify({ ok, works }, null, 2) + '\n');
+
+  for (const report of works) {
+    const name = report.work ? `${report.work} (${report.manifestPath})` : report.manifestPath || 'works';
+    const counts = report.summary
+      ? `${report.summary.errors} errors, ${report.summary.warnings} warnings`
+      : report.issues[0].message;
+    console.error(`${report.ok ? '✓' : '✗'} ${name}: ${counts}`);
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+module.exports = {
+  validateManifest
+};
+
+if (require.main === module) {
+  main();
+}
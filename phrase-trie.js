@@ -0,0 +1,60 @@
+/**
+ * Phrase Trie
+ * Token-level trie over manifest phrases, so phrase matching walks the tokens once
+ * instead of joining and hashing every candidate length.
+ */
+
+class PhraseTrie {
+  constructor(phrases = []) {
+    this.root = { children: new Map(), phrase: null };
+    this.size = 0;
+
+    for (const phrase of phrases) {
+      this.add(phrase);
+    }
+  }
+
+  /**
+   * Add a space-separated phrase
+   */
+  add(phrase) {
+    let node = this.root;
+
+    for (const token of phrase.split(' ')) {
+      if (!node.children.has(token)) {
+        node.children.set(token, { children: new Map(), phrase: null });
+      }
+      node = node.children.get(token);
+    }
+
+    if (node.phrase === null) {
+      node.phrase = phrase;
+      this.size++;
+    }
+  }
+
+  /**
+   * Phrases that start at tokens[start], shortest first, at most maxLength tokens long
+   * Returns [{ phrase, length }]
+   */
+  prefixesAt(tokens, start, maxLength = Infinity) {
+    const found = [];
+    let node = this.root;
+
+    for (let j = start; j < tokens.length && j - start < maxLength; j++) {
+      node = node.children.get(tokens[j]);
+      if (!node) {
+        break;
+      }
+      if (node.phrase !== null) {
+        found.push({ phrase: node.phrase, length: j - start + 1 });
+      }
+    }
+
+    return found;
+  }
+}
+
+module.exports = {
+  PhraseTrie
+};
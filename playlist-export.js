@@ -0,0 +1,247 @@
+/**
+ * Playlist Exporters
+ * Serialize a session timeline (see HLSBuilder.buildTimeline) to non-HLS formats
+ * for editing tools and offline renders.
+ */
+
+/**
+ * Convert seconds to a whole frame count
+ */
+function toFrames(seconds, fps) {
+  return Math.round(seconds * fps);
+}
+
+/**
+ * Format a frame count as a non-drop-frame timecode (HH:MM:SS:FF)
+ */
+function framesToTimecode(frames, fps) {
+  const pad = (n) => String(n).padStart(2, '0');
+
+  const ff = frames % fps;
+  const totalSeconds = Math.floor(frames / fps);
+  const ss = totalSeconds % 60;
+  const mm = Math.floor(totalSeconds / 60) % 60;
+  const hh = Math.floor(totalSeconds / 3600);
+
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}:${pad(ff)}`;
+}
+
+/**
+ * Compute frame-accurate record in/out points for each timeline entry.
+ * Rounding cumulative positions (not individual durations) keeps the edit from drifting.
+ */
+function frameRanges(timeline, fps) {
+  return timeline.map(item => {
+    const recordIn = toFrames(item.start, fps);
+    const recordOut = toFrames(item.end, fps);
+    return { item, recordIn, recordOut, length: recordOut - recordIn };
+  });
+}
+
+/**
+ * CMX3600 EDL
+ * Each clip is its own source (reel AX) starting at 00:00:00:00,
+ * identified by a FROM CLIP NAME comment.
+ * Event numbers are three digits, so long iterations wrap from 999 back to 001;
+ * the record timecodes keep the events in order.
+ */
+function buildEDL(timeline, { title, fps }) {
+  const lines = [
+    `TITLE: ${title}`,
+    'FCM: NON-DROP FRAME',
+    ''
+  ];
+
+  frameRanges(timeline, fps).forEach(({ item, recordIn, recordOut, length }, i) => {
+    const event = String((i % 999) + 1).padStart(3, '0');
+    const sourceIn = framesToTimecode(0, fps);
+    const sourceOut = framesToTimecode(length, fps);
+
+    lines.push(
+      `${event}  AX       AA/V  C        ${sourceIn} ${sourceOut} ` +
+      `${framesToTimecode(recordIn, fps)} ${framesToTimecode(recordOut, fps)}`
+    );
+    lines.push(`* FROM CLIP NAME: ${item.filename}`);
+    if (item.text) {
+      lines.push(`* COMMENT: ${item.text}`);
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * FFmpeg concat demuxer list
+ * Usage: ffmpeg -f concat -safe 0 -protocol_whitelist file,http,https,tcp,tls -i list.ffconcat -c copy out.ts
+ */
+function buildFFConcat(timeline) {
+  const quote = (value) => `'${value.replace(/'/g, "'\\''")}'`;
+
+  const lines = ['ffconcat version 1.0'];
+
+  for (const item of timeline) {
+    lines.push(`# ${item.index}: [${item.type}]${item.text ? ` ${item.text}` : ''}`);
+    lines.push(`file ${quote(item.url)}`);
+    lines.push(`duration ${item.duration.toFixed(6)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ */
+function secondsToVTTTimestamp(seconds) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+  const totalMs = Math.round(seconds * 1000);
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const ss = totalSeconds % 60;
+  const mm = Math.floor(totalSeconds / 60) % 60;
+  const hh = Math.floor(totalSeconds / 3600);
+
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}.${pad(ms, 3)}`;
+}
+
+/**
+ * WebVTT captions, one cue per spoken clip
+ * Punctuation clips are folded into the preceding cue rather than flashing on their own.
+ * With mpegts (an HLS subtitle segment), an X-TIMESTAMP-MAP header maps cue time zero to that
+ * MPEG-TS timestamp, the first video frame of the timeline.
+ */
+function buildWebVTT(timeline, { mpegts = null } = {}) {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const isPunctuation = (text) => /^[^\w\s]+$/.test(text);
+
+  const cues = [];
+
+  for (const item of timeline) {
+    if (!item.text) {
+      continue;
+    }
+
+    const previous = cues[cues.length - 1];
+    if (isPunctuation(item.text) && previous) {
+      previous.text += item.text;
+      previous.end = item.end;
+      continue;
+    }
+
+    cues.push({ start: item.start, end: item.end, text: item.text });
+  }
+
+  const lines = ['WEBVTT'];
+  if (mpegts !== null) {
+    lines.push(`X-TIMESTAMP-MAP=MPEGTS:${mpegts},LOCAL:00:00:00.000`);
+  }
+  lines.push('');
+
+  cues.forEach((cue, i) => {
+    lines.push(String(i + 1));
+    lines.push(`${secondsToVTTTimestamp(cue.start)} --> ${secondsToVTTTimestamp(cue.end)}`);
+    lines.push(escape(cue.text));
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Plain JSON timeline with cumulative start/end seconds
+ */
+function buildTimelineJSON(timeline, { title, sessionId, seed }) {
+  const duration = timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+
+  return {
+    title,
+    sessionId,
+    seed,
+    duration,
+    clips: timeline.map(item => ({
+      index: item.index,
+      type: item.type,
+      text: item.text,
+      filename: item.filename,
+      url: item.url,
+      start: item.start,
+      end: item.end,
+      duration: item.duration,
+      provenance: item.provenance || null
+    }))
+  };
+}
+
+/**
+ * OpenTimelineIO timeline (.otio JSON) with a single video track
+ */
+function buildOTIO(timeline, { title, sessionId, seed, fps }) {
+  const rationalTime = (frames) => ({
+    OTIO_SCHEMA: 'RationalTime.1',
+    rate: fps,
+    value: frames
+  });
+
+  const clips = frameRanges(timeline, fps).map(({ item, length }) => ({
+    OTIO_SCHEMA: 'Clip.1',
+    name: item.filename,
+    source_range: {
+      OTIO_SCHEMA: 'TimeRange.1',
+      start_time: rationalTime(0),
+      duration: rationalTime(length)
+    },
+    media_reference: {
+      OTIO_SCHEMA: 'ExternalReference.1',
+      name: item.filename,
+      target_url: item.url,
+      available_range: null,
+      metadata: {}
+    },
+    effects: [],
+    markers: [],
+    metadata: {
+      lives: {
+        type: item.type,
+        text: item.text,
+        duration: item.duration
+      }
+    }
+  }));
+
+  return {
+    OTIO_SCHEMA: 'Timeline.1',
+    name: title,
+    global_start_time: rationalTime(0),
+    metadata: {
+      lives: { sessionId, seed }
+    },
+    tracks: {
+      OTIO_SCHEMA: 'Stack.1',
+      name: 'tracks',
+      source_range: null,
+      effects: [],
+      markers: [],
+      metadata: {},
+      children: [{
+        OTIO_SCHEMA: 'Track.1',
+        name: 'V1',
+        kind: 'Video',
+        source_range: null,
+        effects: [],
+        markers: [],
+        metadata: {},
+        children: clips
+      }]
+    }
+  };
+}
+
+module.exports = {
+  framesToTimecode,
+  buildEDL,
+  buildFFConcat,
+  buildWebVTT,
+  buildTimelineJSON,
+  buildOTIO
+};
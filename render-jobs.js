@@ -0,0 +1,275 @@
+/**
+ * Render Jobs
+ * Renders a session timeline (see HLSBuilder.buildTimeline) to a single downloadable MP4
+ * with a local ffmpeg, one job at a time.
+ *
+ * Clips are read from a local copy of the clip host (clipsDir/trimmed and clipsDir/static,
+ * as served under /hls_clips/), so renders need no network. The clips are concatenated
+ * and re-encoded, which gives the MP4 one continuous timeline starting at zero whatever
+ * the timestamps of the source fragments.
+ *
+ * Job status: queued -> rendering -> done | failed
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { buildFFConcat } = require('./playlist-export');
+
+// Input options come before -i, output options after it
+const FFMPEG_INPUT_ARGS = ['-hide_banner', '-nostdin', '-y', '-loglevel', 'error', '-fflags', '+genpts', '-f', 'concat', '-safe', '0'];
+const FFMPEG_OUTPUT_ARGS = [
+  '-map', '0:v:0', '-map', '0:a:0?',
+  '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p',
+  '-c:a', 'aac', '-b:a', '160k', '-af', 'aresample=async=1:first_pts=0',
+  '-avoid_negative_ts', 'make_zero',
+  '-movflags', '+faststart',
+  '-progress', 'pipe:1', '-nostats'
+];
+
+// Bytes of ffmpeg's stderr kept for the error message of a failed job
+const STDERR_TAIL = 2000;
+
+/**
+ * Local file for a timeline entry: phrase clips in trimmed/, everything else in static/
+ */
+function localClipPath(clipsDir, item) {
+  const dir = item.type === 'phrase' ? 'trimmed' : 'static';
+  return path.resolve(clipsDir, dir, item.filename);
+}
+
+class RenderQueue {
+  constructor({
+    clipsDir,
+    outputDir,
+    ffmpegPath = 'ffmpeg',
+    maxQueued = 10, // jobs waiting to start
+    ttl = 86400000, // keep finished jobs and their files this long
+    timeout = 1800000 // give up on a render after this long
+  }) {
+    this.clipsDir = clipsDir;
+    this.outputDir = outputDir;
+    this.ffmpegPath = ffmpegPath;
+    this.maxQueued = maxQueued;
+    this.ttl = ttl;
+    this.timeout = timeout;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.active = null;
+  }
+
+  /**
+   * Queue a render. Returns the job, or null when the queue is full.
+   */
+  enqueue({ sessionId, filename, timeline }) {
+    if (this.queue.length >= this.maxQueued) {
+      return null;
+    }
+
+    const job = {
+      id: crypto.randomBytes(16).toString('hex'),
+      sessionId,
+      filename,
+      timeline,
+      duration: timeline.length > 0 ? timeline[timeline.length - 1].end : 0,
+      status: 'queued',
+      progress: 0,
+      error: null,
+      outputPath: null,
+      size: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.drain();
+
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * The newest job for a session that is queued, rendering or done (a failed job can be retried)
+   */
+  findForSession(sessionId) {
+    let found = null;
+
+    for (const job of this.jobs.values()) {
+      if (job.sessionId === sessionId && job.status !== 'failed') {
+        found = job;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Job state for the status route
+   */
+  describe(job) {
+    const queuePosition = this.queue.indexOf(job);
+
+    return {
+      jobId: job.id,
+      sessionId: job.sessionId,
+      status: job.status,
+      progress: Math.round(job.progress * 1000) / 1000,
+      queuePosition: queuePosition === -1 ? null : queuePosition + 1,
+      duration: job.duration,
+      size: job.size,
+      error: job.error,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Run queued jobs one after another until the queue is empty
+   */
+  async drain() {
+    if (this.active) {
+      return;
+    }
+
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active = job;
+
+      try {
+        await this.render(job);
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = Date.now();
+        console.error(`Render ${job.id} failed: ${error.message}`);
+      }
+
+      this.active = null;
+    }
+  }
+
+  /**
+   * Render one job: check its clips exist locally, write a concat list and run ffmpeg
+   */
+  async render(job) {
+    job.status = 'rendering';
+    job.startedAt = Date.now();
+    console.log(`Render ${job.id}: session ${job.sessionId}, ${job.timeline.length} clips`);
+
+    const local = job.timeline.map(item => ({ ...item, url: localClipPath(this.clipsDir, item) }));
+
+    const missing = local.filter(item => !fs.existsSync(item.url));
+    if (missing.length > 0) {
+      throw new Error(`${missing.length} clip(s) not found in ${this.clipsDir}, e.g. ${missing[0].filename}`);
+    }
+
+    await fs.promises.mkdir(this.outputDir, { recursive: true });
+
+    const listPath = path.join(this.outputDir, `${job.id}.ffconcat`);
+    const partPath = path.join(this.outputDir, `${job.id}.part.mp4`);
+    const outputPath = path.join(this.outputDir, `${job.id}.mp4`);
+
+    await fs.promises.writeFile(listPath, buildFFConcat(local));
+
+    try {
+      await this.runFFmpeg(job, [...FFMPEG_INPUT_ARGS, '-i', listPath, ...FFMPEG_OUTPUT_ARGS, partPath]);
+      await fs.promises.rename(partPath, outputPath);
+    } finally {
+      await fs.promises.rm(listPath, { force: true });
+      await fs.promises.rm(partPath, { force: true });
+    }
+
+    job.outputPath = outputPath;
+    job.size = (await fs.promises.stat(outputPath)).size;
+    job.status = 'done';
+    job.progress = 1;
+    job.finishedAt = Date.now();
+    // The timeline is only needed to render
+    job.timeline = null;
+
+    console.log(`Render ${job.id} done in ${((job.finishedAt - job.startedAt) / 1000).toFixed(1)}s (${job.size} bytes)`);
+  }
+
+  /**
+   * Run ffmpeg, following its -progress output to update the job
+   */
+  runFFmpeg(job, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`ffmpeg timed out after ${this.timeout / 1000}s`));
+      }, this.timeout);
+
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+        const lines = stdout.split('\n');
+        stdout = lines.pop();
+
+        for (const line of lines) {
+          // out_time_us is the encoded position in microseconds
+          const match = line.match(/^out_time_us=(\d+)/);
+          if (match && job.duration > 0) {
+            job.progress = Math.min(0.99, Number(match[1]) / 1e6 / job.duration);
+          }
+        }
+      });
+
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-STDERR_TAIL);
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT' ? new Error(`ffmpeg not found at ${this.ffmpegPath}`) : error);
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg exited with ${signal || `code ${code}`}: ${stderr.trim() || 'no output'}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove finished jobs older than the TTL and their files; returns their ids
+   */
+  async expire(now = Date.now()) {
+    const expired = [];
+
+    for (const job of this.jobs.values()) {
+      if (job.finishedAt && now - job.finishedAt > this.ttl) {
+        if (job.outputPath) {
+          await fs.promises.rm(job.outputPath, { force: true });
+        }
+        this.jobs.delete(job.id);
+        expired.push(job.id);
+      }
+    }
+
+    return expired;
+  }
+}
+
+module.exports = {
+  RenderQueue,
+  localClipPath
+};
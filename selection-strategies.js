@@ -0,0 +1,187 @@
+/**
+ * Clip Selection Strategies
+ * Decide which of a phrase's candidate clips to use. All randomness is derived
+ * from an MD5 of the seed string, so a given seed always produces the same picks.
+ *
+ * A strategy instance lives for one generation and implements:
+ *   pick(pool, context) - Choose a clip from a non-empty pool
+ *                         context: { seedStr, source(clip) -> parsed filename metadata or null }
+ *   record(clip, source) - Optional; called with the chosen clip so stateful strategies can track history
+ */
+
+const crypto = require('crypto');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Seeded integer in [0, 2^32)
+ */
+function seededInt(seedStr) {
+  const hash = crypto.createHash('md5').update(seedStr).digest('hex');
+  return parseInt(hash.substr(0, 8), 16);
+}
+
+/**
+ * Seeded index into a list of the given length
+ */
+function seededIndex(seedStr, length) {
+  return seededInt(seedStr) % length;
+}
+
+/**
+ * Seeded pick with probability proportional to weight
+ */
+function weightedPick(pool, weights, seedStr) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  if (total <= 0) {
+    return pool[seededIndex(seedStr, pool.length)];
+  }
+
+  let target = (seededInt(seedStr) / 0x100000000) * total;
+
+  for (let i = 0; i < pool.length; i++) {
+    target -= weights[i];
+    if (target < 0) {
+      return pool[i];
+    }
+  }
+
+  return pool[pool.length - 1];
+}
+
+const STRATEGIES = {
+  /**
+   * Every candidate equally likely (the original MD5 pick)
+   */
+  uniform: () => ({
+    pick: (pool, { seedStr }) => pool[seededIndex(seedStr, pool.length)]
+  }),
+
+  /**
+   * Longer clips more likely, in proportion to their duration
+   */
+  'duration-weighted': () => ({
+    pick: (pool, { seedStr }) => weightedPick(pool, pool.map(clip => clip.duration), seedStr)
+  }),
+
+  /**
+   * Cycle through networks: prefer the candidate network used least recently
+   */
+  'network-round-robin': () => {
+    const lastUsed = new Map();
+    let step = 0;
+
+    return {
+      pick(pool, { seedStr, source }) {
+        const networkOf = (clip) => source(clip)?.network || null;
+        const age = (clip) => lastUsed.has(networkOf(clip)) ? lastUsed.get(networkOf(clip)) : -1;
+
+        const oldest = Math.min(...pool.map(age));
+        const candidates = pool.filter(clip => age(clip) === oldest);
+
+        return candidates[seededIndex(seedStr, candidates.length)];
+      },
+      record(clip, source) {
+        lastUsed.set(source?.network || null, step++);
+      }
+    };
+  },
+
+  /**
+   * Never take two consecutive phrase clips from the same source program, when avoidable
+   */
+  'no-repeat-source': () => {
+    let previous = null;
+
+    return {
+      pick(pool, { seedStr, source }) {
+        const fresh = pool.filter(clip => {
+          const identifier = source(clip)?.identifier;
+          return !identifier || identifier !== previous;
+        });
+        const candidates = fresh.length > 0 ? fresh : pool;
+
+        return candidates[seededIndex(seedStr, candidates.length)];
+      },
+      record(clip, source) {
+        previous = source?.identifier || null;
+      }
+    };
+  },
+
+  /**
+   * Favor broadcasts aired within a date range (options: from, to as YYYY-MM-DD; weight)
+   * Clips outside the range stay possible, just less likely.
+   */
+  'date-bias': ({ from = null, to = null, weight = 5 } = {}) => {
+    const min = from ? from.replace(/-/g, '') : '00000000';
+    const max = to ? to.replace(/-/g, '') : '99999999';
+
+    return {
+      pick(pool, { seedStr, source }) {
+        const weights = pool.map(clip => {
+          const date = source(clip)?.date;
+          return date && date >= min && date <= max ? weight : 1;
+        });
+
+        return weightedPick(pool, weights, seedStr);
+      }
+    };
+  }
+};
+
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+/**
+ * Validate a strategy name and its options
+ * Returns an error message or null if valid
+ */
+function validateStrategy(name, options = {}) {
+  if (!STRATEGIES[name]) {
+    return `strategy must be one of: ${STRATEGY_NAMES.join(', ')}`;
+  }
+
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    return 'strategyOptions must be an object';
+  }
+
+  if (name === 'date-bias') {
+    const { from, to, weight } = options;
+
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value !== undefined && (typeof value !== 'string' || !DATE_PATTERN.test(value))) {
+        return `strategyOptions.${key} must be a date in YYYY-MM-DD format`;
+      }
+    }
+
+    if (!from && !to) {
+      return 'date-bias strategy requires strategyOptions.from and/or strategyOptions.to';
+    }
+
+    if (weight !== undefined && !(typeof weight === 'number' && weight > 0)) {
+      return 'strategyOptions.weight must be a positive number';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a fresh strategy instance for one generation
+ */
+function createSelectionStrategy(name = 'uniform', options = {}) {
+  const factory = STRATEGIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown selection strategy: ${name}`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  STRATEGY_NAMES,
+  validateStrategy,
+  createSelectionStrategy
+};
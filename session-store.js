@@ -0,0 +1,204 @@
+/**
+ * Session Stores
+ * Pluggable storage for generated sessions (in-memory or file-backed)
+ *
+ * Every store implements the same async interface:
+ *   get(sessionId)          - Session object or null
+ *   set(sessionId, session) - Store a session (created/lastAccessed default to now)
+ *   touch(sessionId)        - Record an access; returns false if the session is gone
+ *   expire(now)             - Remove expired sessions; returns their ids
+ *   count()                 - Number of stored sessions
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Session ids double as filenames, so keep them to a safe character set
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Decide whether a session has outlived its TTL
+ * expireBy: 'created' (fixed lifetime) or 'lastAccessed' (idle timeout)
+ */
+function isExpired(session, now, ttl, expireBy) {
+  const reference = expireBy === 'lastAccessed'
+    ? (session.lastAccessed || session.created)
+    : session.created;
+
+  return now - reference > ttl;
+}
+
+class MemorySessionStore {
+  constructor({ ttl, expireBy = 'created' }) {
+    this.ttl = ttl;
+    this.expireBy = expireBy;
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async set(sessionId, session) {
+    const now = Date.now();
+    this.sessions.set(sessionId, {
+      ...session,
+      created: session.created || now,
+      lastAccessed: session.lastAccessed || session.created || now
+    });
+  }
+
+  async touch(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    session.lastAccessed = Date.now();
+    return true;
+  }
+
+  async expire(now = Date.now()) {
+    const expired = [];
+
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (isExpired(session, now, this.ttl, this.expireBy)) {
+        this.sessions.delete(sessionId);
+        expired.push(sessionId);
+      }
+    }
+
+    return expired;
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * Stores each session as {sessionId}.json in a directory
+ * Survives restarts, and can be shared between instances via a common volume.
+ * Writes go through a temp file + rename so readers never see partial JSON; each write
+ * gets its own temp file, so concurrent writes to one session don't rename each other's.
+ */
+class FileSessionStore {
+  constructor({ ttl, expireBy = 'created', directory }) {
+    this.ttl = ttl;
+    this.expireBy = expireBy;
+    this.directory = directory;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(sessionId) {
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async get(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    try {
+      const data = await fs.promises.readFile(this.filePath(sessionId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(sessionId, session) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+
+    const now = Date.now();
+    await this.write(sessionId, {
+      ...session,
+      created: session.created || now,
+      lastAccessed: session.lastAccessed || session.created || now
+    });
+  }
+
+  async touch(sessionId) {
+    const session = await this.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    session.lastAccessed = Date.now();
+    await this.write(sessionId, session);
+    return true;
+  }
+
+  async expire(now = Date.now()) {
+    const expired = [];
+
+    for (const sessionId of await this.list()) {
+      let session;
+      try {
+        session = await this.get(sessionId);
+      } catch (error) {
+        console.warn(`Skipping unreadable session file ${sessionId}: ${error.message}`);
+        continue;
+      }
+
+      if (session && isExpired(session, now, this.ttl, this.expireBy)) {
+        await fs.promises.rm(this.filePath(sessionId), { force: true });
+        expired.push(sessionId);
+      }
+    }
+
+    return expired;
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(sessionId => SESSION_ID_PATTERN.test(sessionId));
+  }
+
+  async write(sessionId, session) {
+    const target = this.filePath(sessionId);
+    const temp = `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.writeFile(temp, JSON.stringify(session));
+    await fs.promises.rename(temp, target);
+  }
+}
+
+/**
+ * Create the session store selected by configuration
+ * type: 'memory' (default) or 'file'
+ */
+function createSessionStore({ type = 'memory', ttl, expireBy, directory }) {
+  if (expireBy !== 'created' && expireBy !== 'lastAccessed') {
+    throw new Error(`Unknown session expiry mode: ${expireBy}`);
+  }
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore({ ttl, expireBy });
+    case 'file':
+      return new FileSessionStore({ ttl, expireBy, directory });
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore
+};
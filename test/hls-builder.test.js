@@ -0,0 +1,389 @@
+/**
+ * HLSBuilder unit tests against the small fixture manifest
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURE_MANIFEST = path.join(__dirname, 'fixtures', 'manifest.json');
+process.env.MANIFEST_PATH = FIXTURE_MANIFEST;
+
+const { HLSBuilder, CONFIG } = require('../hls-generator-server');
+const { createSelectionStrategy } = require('../selection-strategies');
+
+const builder = new HLSBuilder(FIXTURE_MANIFEST);
+
+const phrasesOf = (matches) => matches.map(match => match.phrase);
+
+test('tokenization edge cases', async (t) => {
+  await t.test('empty and whitespace-only text produce no tokens', () => {
+    assert.deepStrictEqual(builder.normalizeAndTokenize(''), []);
+    assert.deepStrictEqual(builder.normalizeAndTokenize(' \n\t '), []);
+  });
+
+  await t.test('lowercases and splits punctuation from words', () => {
+    assert.deepStrictEqual(builder.normalizeAndTokenize('This is NOT.'), ['this', 'is', 'not', '.']);
+  });
+
+  await t.test('keeps apostrophes inside words', () => {
+    assert.deepStrictEqual(builder.normalizeAndTokenize('It’s a book'), ["it's", 'a', 'book']);
+  });
+
+  await t.test('maps curly quotes to straight quote tokens', () => {
+    assert.deepStrictEqual(builder.normalizeAndTokenize('“book”'), ['"', 'book', '"']);
+  });
+});
+
+test('greedyMatchPhrases', async (t) => {
+  await t.test('prefers the longest phrase with clips', () => {
+    const matches = builder.greedyMatchPhrases(['this', 'is', 'not', 'a', 'book']);
+    assert.deepStrictEqual(matches, [
+      { phrase: 'this is not', start: 0, end: 3 },
+      { phrase: 'a book', start: 3, end: 5 }
+    ]);
+  });
+
+  await t.test('consumes left to right, so an earlier match can block a longer one', () => {
+    const matches = builder.greedyMatchPhrases(builder.fixedTokens);
+    assert.deepStrictEqual(phrasesOf(matches), ['this is not', 'a book']);
+  });
+
+  await t.test('never matches across punctuation', () => {
+    const matches = builder.greedyMatchPhrases(['this', '.', 'is', 'not']);
+    assert.deepStrictEqual(matches, [{ phrase: 'is not', start: 2, end: 4 }]);
+  });
+
+  await t.test('ignores phrases that have no clips', () => {
+    const matches = builder.greedyMatchPhrases(['not', 'a']);
+    assert.deepStrictEqual(matches, []);
+  });
+
+  await t.test('respects the supplied clip pool', () => {
+    const { 'this is not': removed, ...phraseClips } = builder.phraseClips;
+    const matches = builder.greedyMatchPhrases(['this', 'is', 'not'], phraseClips);
+    assert.deepStrictEqual(phrasesOf(matches), ['this is']);
+  });
+});
+
+test('optimalMatchPhrases leaves fewer words to static clips than greedy', () => {
+  const tokens = builder.fixedTokens;
+  const greedy = builder.summarizeMatches(tokens, builder.greedyMatchPhrases(tokens));
+  const optimal = builder.summarizeMatches(tokens, builder.optimalMatchPhrases(tokens));
+
+  assert.deepStrictEqual(phrasesOf(builder.optimalMatchPhrases(tokens)), ['this is not', 'book of history']);
+  assert.strictEqual(greedy.staticWords, 2);
+  assert.strictEqual(optimal.staticWords, 1);
+});
+
+test('getStaticClip', async (t) => {
+  await t.test('finds word clips by token', () => {
+    assert.strictEqual(builder.getStaticClip("it's").filename, 'static_word_its.ts');
+  });
+
+  await t.test('maps typographic punctuation to manifest keys', () => {
+    assert.strictEqual(builder.getStaticClip('“').filename, 'static_punct_quote.ts');
+    assert.strictEqual(builder.getStaticClip('—').filename, 'static_punct_dash.ts');
+  });
+
+  await t.test('falls back to the period clip for unknown punctuation', () => {
+    assert.strictEqual(builder.getStaticClip('!').filename, 'static_punct_period.ts');
+  });
+
+  await t.test('returns null for unknown words', () => {
+    assert.strictEqual(builder.getStaticClip('zebra'), null);
+  });
+});
+
+test('selectClip', async (t) => {
+  const clips = builder.phraseClips['this is'];
+
+  await t.test('is deterministic for a seed', () => {
+    const first = builder.selectClip(clips, new Set(), 'seed-1this is');
+    const second = builder.selectClip(clips, new Set(), 'seed-1this is');
+    assert.strictEqual(first, second);
+  });
+
+  await t.test('varies with the seed', () => {
+    const picks = new Set();
+    for (let i = 0; i < 20; i++) {
+      picks.add(builder.selectClip(clips, new Set(), `seed-${i}this is`).filename);
+    }
+    assert.strictEqual(picks.size, clips.length);
+  });
+
+  await t.test('prefers unused clips and records its pick', () => {
+    const used = new Set([clips[0].filename]);
+    const clip = builder.selectClip(clips, used, 'any seed');
+    assert.strictEqual(clip, clips[1]);
+    assert.ok(used.has(clips[1].filename));
+  });
+
+  await t.test('reuses clips once all are used', () => {
+    const used = new Set(clips.map(clip => clip.filename));
+    assert.ok(clips.includes(builder.selectClip(clips, used, 'any seed')));
+  });
+
+  await t.test('returns null when there are no candidates', () => {
+    assert.strictEqual(builder.selectClip([], new Set(), 'any seed'), null);
+  });
+
+  await t.test('passes parsed sources to the strategy', () => {
+    const seen = [];
+    const strategy = createSelectionStrategy('uniform');
+    strategy.record = (clip, source) => seen.push(source.network);
+    builder.selectClip(builder.phraseClips['this is not'], new Set(), 'seed', strategy, 'this is not');
+    assert.deepStrictEqual(seen, ['BBCNEWS']);
+  });
+});
+
+test('selection strategies', async (t) => {
+  const allClips = Object.values(builder.phraseClips).flat();
+  const sourceOf = (clip) => builder.clipSource(clip.filename);
+
+  // Picks from the same pool with a fresh seed each time, so only the strategy's own state carries over
+  const picks = (strategy, pool, count, phrase = null) =>
+    Array.from({ length: count }, (_, i) => builder.selectClip(pool, new Set(), `seed-${i}`, strategy, phrase));
+
+  // How often each of 200 fresh strategies picks the given clip
+  const timesPicked = (name, options, pool, clip) => Array.from({ length: 200 }, (_, i) =>
+    builder.selectClip(pool, new Set(), `seed-${i}`, createSelectionStrategy(name, options))
+  ).filter(pick => pick === clip).length;
+
+  await t.test('network-round-robin uses every network before repeating one', () => {
+    const networks = picks(createSelectionStrategy('network-round-robin'), allClips, 7)
+      .map(clip => sourceOf(clip).network);
+    const distinct = new Set(allClips.map(clip => sourceOf(clip).network));
+
+    assert.strictEqual(new Set(networks.slice(0, distinct.size)).size, distinct.size);
+    assert.strictEqual(networks[distinct.size], networks[0]);
+  });
+
+  await t.test('no-repeat-source never picks the same program twice in a row', () => {
+    const clips = builder.phraseClips['this is'];
+    const identifiers = (name) => picks(createSelectionStrategy(name), clips, 20, 'this is')
+      .map(clip => sourceOf(clip).identifier);
+    const repeats = (list) => list.filter((identifier, i) => identifier === list[i - 1]).length;
+
+    assert.ok(repeats(identifiers('uniform')) > 0);
+    assert.strictEqual(repeats(identifiers('no-repeat-source')), 0);
+  });
+
+  await t.test('no-repeat-source repeats a program when it is the only candidate', () => {
+    const clips = builder.phraseClips['this is not'];
+    assert.deepStrictEqual(picks(createSelectionStrategy('no-repeat-source'), clips, 3), [clips[0], clips[0], clips[0]]);
+  });
+
+  await t.test('date-bias favors broadcasts in the range', () => {
+    const [older, newer] = builder.phraseClips['a book'];
+    assert.ok(sourceOf(older).date < '20220101' && sourceOf(newer).date >= '20220101');
+
+    const uniform = timesPicked('uniform', {}, [older, newer], newer);
+    const biased = timesPicked('date-bias', { from: '2022-01-01' }, [older, newer], newer);
+    assert.ok(uniform < 120, `uniform picked the newer clip ${uniform} times`);
+    assert.ok(biased > 140, `date-bias picked the newer clip ${biased} times`);
+  });
+
+  await t.test('duration-weighted favors longer clips', () => {
+    const short = builder.phraseClips['is not'][0];
+    const long = builder.phraseClips['book of history'][0];
+    assert.ok(long.duration > 2 * short.duration);
+
+    const uniform = timesPicked('uniform', {}, [short, long], long);
+    const weighted = timesPicked('duration-weighted', {}, [short, long], long);
+    assert.ok(uniform < 120, `uniform picked the longer clip ${uniform} times`);
+    assert.ok(weighted > 130, `duration-weighted picked the longer clip ${weighted} times`);
+  });
+});
+
+test('generatePlaylist', async (t) => {
+  await t.test('produces the same playlist for the same seed', () => {
+    const strip = (playlist) => playlist.replace(/^# Generated: .*$/m, '');
+    const a = builder.generatePlaylist('a', { seed: 'fixed' });
+    const b = builder.generatePlaylist('b', { seed: 'fixed' });
+    assert.deepStrictEqual(a.script, b.script);
+    assert.strictEqual(strip(a.playlist).replace('# Session: a', ''), strip(b.playlist).replace('# Session: b', ''));
+  });
+
+  await t.test('produces the same playlist for the same seed and strategy', () => {
+    const strip = (playlist) => playlist.replace(/^# Generated: .*$/m, '');
+    const text = 'This is not a book. This is a book of history. This is not a book.';
+
+    for (const [strategy, strategyOptions] of [
+      ['duration-weighted', {}],
+      ['network-round-robin', {}],
+      ['no-repeat-source', {}],
+      ['date-bias', { from: '2020-01-01', weight: 3 }]
+    ]) {
+      const a = builder.generatePlaylist('s', { text, seed: 'fixed', strategy, strategyOptions });
+      const b = builder.generatePlaylist('s', { text, seed: 'fixed', strategy, strategyOptions });
+      assert.deepStrictEqual(a.script, b.script, strategy);
+      assert.strictEqual(strip(a.playlist), strip(b.playlist), strategy);
+    }
+  });
+
+  await t.test('skips the stats-only matching without changing the playlist', () => {
+    const filters = { excludePrograms: ['sportsday'] };
+    const full = builder.generatePlaylist('s', { seed: 'fixed', filters, segmentation: 'optimal' });
+    const lean = builder.generatePlaylist('s', { seed: 'fixed', filters, segmentation: 'optimal', stats: false });
+
+    assert.deepStrictEqual(lean.script, full.script);
+    assert.deepStrictEqual(lean.segmentationStats, { ...full.segmentationStats, greedy: null });
+    assert.deepStrictEqual(lean.filterStats, { ...full.filterStats, degradedPhrases: null });
+  });
+
+  await t.test('falls back to static clips and reports unmatched tokens', () => {
+    const { script, unmatched } = builder.generatePlaylist('s', { text: 'This is not a zebra!' });
+    assert.deepStrictEqual(script.map(item => [item.type, item.text]), [
+      ['phrase', 'this is not'],
+      ['static', 'a'],
+      ['static', '!']
+    ]);
+    assert.deepStrictEqual(unmatched, [{ index: 4, token: 'zebra' }]);
+  });
+});
+
+test('filters', async (t) => {
+  const shape = (script) => script.map(item => [item.type, item.text]);
+  const dateOf = (clip) => builder.clipSource(clip.filename).date;
+
+  await t.test('networks keeps only those networks, and static clips fill in', () => {
+    const filters = { networks: ['cspan', 'KCSM'] };
+    const { phraseClips, removedClips, emptiedPhrases } = builder.filterPhraseClips(filters);
+    assert.deepStrictEqual(phraseClips, { 'this is': builder.phraseClips['this is'] });
+    assert.strictEqual(removedClips, 5);
+    assert.strictEqual(emptiedPhrases, 4);
+
+    const { script, matches, filterStats } = builder.generatePlaylist('s', { filters });
+    assert.deepStrictEqual(phrasesOf(matches), ['this is']);
+    assert.deepStrictEqual(filterStats, { removedClips: 5, emptiedPhrases: 4, degradedPhrases: 2 });
+    assert.deepStrictEqual(shape(script), [
+      ['phrase', 'this is'],
+      ['static', 'not'],
+      ['static', 'a'],
+      ['static', 'book'],
+      ['static', 'of'],
+      ['static', 'history'],
+      ['static', '.']
+    ]);
+  });
+
+  await t.test('excludePrograms falls back to a shorter phrase when one is emptied', () => {
+    const filters = { excludePrograms: ['books', 'SPORTSDAY'] };
+    const { phraseClips } = builder.filterPhraseClips(filters);
+    assert.strictEqual(phraseClips['this is not'], undefined);
+    assert.deepStrictEqual(phraseClips['a book'], [builder.phraseClips['a book'][0]]);
+
+    const { script, matches, filterStats } = builder.generatePlaylist('s', { filters });
+    assert.deepStrictEqual(phrasesOf(matches), ['this is', 'a book']);
+    assert.deepStrictEqual(filterStats, { removedClips: 2, emptiedPhrases: 1, degradedPhrases: 1 });
+    assert.strictEqual(script.find(item => item.text === 'a book').filename, builder.phraseClips['a book'][0].filename);
+  });
+
+  await t.test('airedFrom and airedTo keep broadcasts in the inclusive range', () => {
+    const filters = { airedFrom: '2014-01-03', airedTo: '2021-12-31' };
+    const { phraseClips, removedClips, emptiedPhrases } = builder.filterPhraseClips(filters);
+    const kept = Object.values(phraseClips).flat();
+    assert.deepStrictEqual(kept.map(dateOf).sort(), ['20140103', '20170812', '20210213']);
+    assert.strictEqual(removedClips, 4);
+    assert.strictEqual(emptiedPhrases, 2);
+
+    const { script, matches, filterStats } = builder.generatePlaylist('s', { filters });
+    assert.deepStrictEqual(phrasesOf(matches), ['this is not', 'a book']);
+    assert.deepStrictEqual(filterStats, { removedClips: 4, emptiedPhrases: 2, degradedPhrases: 0 });
+    for (const item of script.filter(item => item.type === 'phrase')) {
+      assert.ok(kept.some(clip => clip.filename === item.filename), item.filename);
+    }
+  });
+
+  await t.test('without filters the full pool is used and no stats are reported', () => {
+    const { matches, filterStats } = builder.generatePlaylist('s');
+    assert.deepStrictEqual(phrasesOf(matches), ['this is not', 'a book']);
+    assert.strictEqual(filterStats, null);
+  });
+});
+
+test('segments', async (t) => {
+  const bumper = { filename: 'bumper.ts', duration: 1.5 };
+  const closer = { filename: 'closer.ts', duration: 4 };
+
+  await t.test('interstitials go before the first clip of each later paragraph', () => {
+    const { script } = builder.generatePlaylist('p', {
+      text: 'This is not.\n\nA book of history.\n\nA book.',
+      segments: { ...CONFIG.segments, interstitial: bumper }
+    });
+
+    assert.deepStrictEqual(script.map(item => item.type === 'interstitial' ? '|' : item.text), [
+      'this is not', '.', '|', 'a book', 'of', 'history', '.', '|', 'a book', '.'
+    ]);
+  });
+
+  await t.test('paragraph breaks are ignored without an interstitial', () => {
+    const { script } = builder.generatePlaylist('p', { text: 'This is not.\n\nA book.' });
+    assert.ok(script.every(item => item.type !== 'interstitial'));
+  });
+
+  await t.test('the timeline runs opener, script, closer', () => {
+    const timeline = builder.buildTimeline([{ text: 'a', filename: 'a.ts', duration: 2, type: 'static' }], {
+      opener: null,
+      closer
+    });
+
+    assert.deepStrictEqual(timeline.map(item => [item.type, item.start, item.end]), [
+      ['static', 0, 2],
+      ['closer', 2, 6]
+    ]);
+    assert.ok(timeline[1].url.endsWith('/static/closer.ts'));
+  });
+
+  await t.test('a manifest can set its own segments', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-'));
+    const manifestPath = path.join(dir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(FIXTURE_MANIFEST, 'utf8'));
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, segments: { closer, interstitial: null } }));
+
+    try {
+      const custom = new HLSBuilder(manifestPath);
+      assert.deepStrictEqual(custom.segments, { opener: CONFIG.segments.opener, closer, interstitial: null });
+      assert.ok(custom.generatePlaylist('m', { seed: 'x' }).playlist.includes('/static/closer.ts'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test('buildM3U8 structure', () => {
+  const { playlist, script } = builder.generatePlaylist('session-1', { seed: 'structure' });
+  const lines = playlist.split('\n');
+
+  assert.deepStrictEqual(lines.slice(0, 4), [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    '#EXT-X-TARGETDURATION:10',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ]);
+  assert.ok(lines.includes('# Session: session-1'));
+  assert.ok(lines.includes('# Seed: structure'));
+
+  // Opener plus one segment per script entry, each a DISCONTINUITY / EXTINF / URI triple
+  const segments = [];
+  lines.forEach((line, i) => {
+    if (line === '#EXT-X-DISCONTINUITY') {
+      segments.push({ extinf: lines[i + 1], uri: lines[i + 2] });
+    }
+  });
+
+  const expected = [CONFIG.segments.opener, ...script];
+  assert.strictEqual(segments.length, expected.length);
+
+  segments.forEach((segment, i) => {
+    assert.strictEqual(segment.extinf, `#EXTINF:${expected[i].duration.toFixed(3)},`);
+    assert.ok(segment.uri.endsWith(expected[i].filename), `${segment.uri} should end with ${expected[i].filename}`);
+  });
+
+  assert.ok(segments.every(segment => segment.extinf.match(/^#EXTINF:\d+\.\d{3},$/)));
+  assert.strictEqual(lines.filter(line => line === '#EXT-X-ENDLIST').length, 1);
+  assert.ok(lines.indexOf('#EXT-X-ENDLIST') > lines.lastIndexOf('#EXT-X-DISCONTINUITY'));
+});
@@ -0,0 +1,233 @@
+/**
+ * Live channel tests
+ * LiveChannel runs on an injected clock; the routes run against the fixture manifest.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.MANIFEST_PATH = path.join(__dirname, 'fixtures', 'manifest.json');
+process.env.SESSION_STORE = 'memory';
+
+const { app } = require('../hls-generator-server');
+const { LiveChannel } = require('../live-playlist');
+
+/**
+ * A channel whose passes are five 4-second segments named p{pass}-{segment}.ts
+ */
+function fakeChannel(options = {}) {
+  const generated = [];
+  const channel = new LiveChannel({
+    id: 'test',
+    window: 10,
+    lookahead: 5,
+    holdBack: 0,
+    now: 0,
+    generatePass: (index) => {
+      generated.push(index);
+      return {
+        seed: `seed-${index}`,
+        timeline: Array.from({ length: 5 }, (_, i) => ({ url: `p${index}-${i}.ts`, duration: 4 }))
+      };
+    },
+    ...options
+  });
+  return { channel, generated };
+}
+
+const uris = (playlist) => playlist.split('\n').filter(line => line.endsWith('.ts'));
+const tag = (playlist, name) => Number(playlist.match(new RegExp(`^#${name}:(\\d+)$`, 'm'))[1]);
+
+test('LiveChannel', async (t) => {
+  await t.test('lists aired segments and never ends', () => {
+    const { channel } = fakeChannel();
+    const playlist = channel.buildPlaylist(9000);
+
+    assert.deepStrictEqual(uris(playlist), ['p0-0.ts', 'p0-1.ts', 'p0-2.ts']);
+    assert.strictEqual(tag(playlist, 'EXT-X-MEDIA-SEQUENCE'), 0);
+    assert.ok(!playlist.includes('#EXT-X-ENDLIST'));
+    assert.ok(!playlist.includes('#EXT-X-PLAYLIST-TYPE'));
+    assert.ok(playlist.includes('#EXT-X-PROGRAM-DATE-TIME:1970-01-01T00:00:08.000Z'));
+  });
+
+  await t.test('appends the next pass before the current one ends', () => {
+    const { channel, generated } = fakeChannel();
+
+    channel.buildPlaylist(14000);
+    assert.deepStrictEqual(generated, [0]);
+
+    channel.buildPlaylist(16000);
+    assert.deepStrictEqual(generated, [0, 1]);
+  });
+
+  await t.test('slides the window across passes with matching sequence numbers', () => {
+    const { channel } = fakeChannel();
+    channel.buildPlaylist(0);
+
+    const playlist = channel.buildPlaylist(30000);
+    assert.deepStrictEqual(uris(playlist), ['p1-0.ts', 'p1-1.ts', 'p1-2.ts']);
+    assert.strictEqual(tag(playlist, 'EXT-X-MEDIA-SEQUENCE'), 5);
+    assert.strictEqual(tag(playlist, 'EXT-X-DISCONTINUITY-SEQUENCE'), 5);
+    assert.deepStrictEqual(channel.passes.map(pass => pass.index), [1]);
+  });
+
+  await t.test('keeps a pass boundary inside one playlist', () => {
+    const { channel } = fakeChannel();
+    channel.buildPlaylist(0);
+    channel.buildPlaylist(16000);
+    const playlist = channel.buildPlaylist(22000);
+
+    assert.deepStrictEqual(uris(playlist), ['p0-3.ts', 'p0-4.ts', 'p1-0.ts']);
+    assert.strictEqual(tag(playlist, 'EXT-X-MEDIA-SEQUENCE'), 3);
+    assert.ok(playlist.indexOf('# Pass: 0') < playlist.indexOf('# Pass: 1'));
+  });
+
+  await t.test('skips ahead after an idle gap instead of generating every missed pass', () => {
+    const { channel, generated } = fakeChannel();
+    channel.buildPlaylist(0);
+
+    const playlist = channel.buildPlaylist(3600000);
+    assert.deepStrictEqual(generated, [0, 1]);
+    assert.deepStrictEqual(uris(playlist), ['p0-2.ts', 'p0-3.ts', 'p0-4.ts', 'p1-0.ts']);
+    assert.strictEqual(tag(playlist, 'EXT-X-MEDIA-SEQUENCE'), 2);
+    assert.ok(playlist.includes('#EXT-X-PROGRAM-DATE-TIME:1970-01-01T01:00:00.000Z'));
+  });
+
+  await t.test('generates one pass per request by default', () => {
+    const { channel, generated } = fakeChannel({ lookahead: 300 });
+
+    channel.buildPlaylist(0);
+    assert.deepStrictEqual(generated, [0]);
+    channel.buildPlaylist(0);
+    assert.deepStrictEqual(generated, [0, 1]);
+  });
+
+  await t.test('generates at most maxAppend passes per request', () => {
+    const { channel, generated } = fakeChannel({ lookahead: 300, maxAppend: 3 });
+
+    channel.buildPlaylist(0);
+    assert.deepStrictEqual(generated, [0, 1, 2]);
+  });
+
+  await t.test('skips ahead when maxAppend passes do not reach now', () => {
+    const { channel, generated } = fakeChannel({ holdBack: 30, maxAppend: 1 });
+    const playlist = channel.buildPlaylist(0);
+
+    assert.deepStrictEqual(generated, [0]);
+    assert.deepStrictEqual(uris(playlist), ['p0-2.ts', 'p0-3.ts', 'p0-4.ts']);
+  });
+
+  await t.test('starts holdBack seconds in', () => {
+    const { channel } = fakeChannel({ holdBack: 9, now: 100000 });
+    assert.strictEqual(uris(channel.buildPlaylist(100000)).length, 3);
+  });
+
+  await t.test('raises the target duration to the longest segment', () => {
+    const channel = new LiveChannel({
+      id: 'long',
+      now: 0,
+      generatePass: () => ({ seed: 'x', timeline: [{ url: 'long.ts', duration: 12.4 }] })
+    });
+    assert.strictEqual(tag(channel.buildPlaylist(0), 'EXT-X-TARGETDURATION'), 13);
+  });
+
+  await t.test('refuses passes with no segments', () => {
+    const channel = new LiveChannel({ id: 'empty', now: 0, generatePass: () => ({ seed: 'x', timeline: [] }) });
+    assert.throws(() => channel.buildPlaylist(0), /has no segments/);
+  });
+});
+
+test('live routes', async (t) => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => server.close());
+
+  const post = (route, body) => fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  await t.test('POST /live starts a channel with a never-ending playlist', async () => {
+    const res = await post('/live', { seed: 'live-seed' });
+    const live = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(live.playlistUrl, `/live/${live.channelId}.m3u8`);
+
+    const playlistRes = await fetch(`${baseUrl}${live.playlistUrl}`);
+    const playlist = await playlistRes.text();
+    assert.match(playlistRes.headers.get('content-type'), /application\/vnd\.apple\.mpegurl/);
+    assert.strictEqual(playlistRes.headers.get('cache-control'), 'no-store');
+    assert.ok(uris(playlist)[0].endsWith('/static/opener.ts'));
+    assert.ok(!playlist.includes('#EXT-X-ENDLIST'));
+
+    const channel = await (await fetch(`${baseUrl}${live.channelUrl}`)).json();
+    assert.strictEqual(channel.seed, 'live-seed');
+    // Fixture passes are shorter than the hold back, so a few have already aired
+    assert.ok(channel.currentPass > 0);
+    assert.strictEqual(channel.passes[0].seed, 'live-seed-0');
+    assert.strictEqual(channel.passes[0].seedUrl, '/seed/live-seed-0.m3u8');
+  });
+
+  await t.test('keeps media and discontinuity sequence numbers consistent across refetches', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const live = await (await post('/live', { seed: 'refetch-seed' })).json();
+    const fetchPlaylist = async () => (await fetch(`${baseUrl}${live.playlistUrl}`)).text();
+
+    // Media sequence number -> [discontinuity sequence number, URI] of each listed segment
+    const numbered = (playlist) => {
+      const segments = new Map();
+      let msn = tag(playlist, 'EXT-X-MEDIA-SEQUENCE');
+      let dsn = tag(playlist, 'EXT-X-DISCONTINUITY-SEQUENCE');
+      for (const line of playlist.split('\n')) {
+        if (line === '#EXT-X-DISCONTINUITY') {
+          dsn++;
+        } else if (line.endsWith('.ts')) {
+          segments.set(msn++, [dsn, line]);
+        }
+      }
+      return segments;
+    };
+
+    // A player refetching every target duration for three minutes
+    let before = numbered(await fetchPlaylist());
+    const first = Math.min(...before.keys());
+    let after;
+
+    for (let elapsed = 0; elapsed < 180000; elapsed += 10000) {
+      t.mock.timers.tick(10000);
+      after = numbered(await fetchPlaylist());
+
+      const shared = [...after.keys()].filter(msn => before.has(msn));
+      assert.ok(shared.length > 0);
+      for (const msn of shared) {
+        assert.deepStrictEqual(after.get(msn), before.get(msn), `segment ${msn}`);
+      }
+      before = after;
+    }
+    assert.ok(Math.min(...after.keys()) > first);
+
+    // Back after an hour: a few new passes, not every pass that would have aired
+    t.mock.timers.tick(3600000);
+    const resumed = numbered(await fetchPlaylist());
+    const channel = await (await fetch(`${baseUrl}${live.channelUrl}`)).json();
+
+    assert.ok(Math.min(...resumed.keys()) > Math.max(...after.keys()) - after.size);
+    assert.ok(channel.passes[channel.passes.length - 1].index < 30, `pass ${channel.currentPass}`);
+  });
+
+  await t.test('validates the body like /generate', async () => {
+    const res = await post('/live', { strategy: 'nope' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'INVALID_STRATEGY');
+  });
+
+  await t.test('returns 404 for unknown channels', async () => {
+    assert.strictEqual((await fetch(`${baseUrl}/live/nope.m3u8`)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/live/nope`)).status, 404);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Compact manifest format and phrase trie tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const vm = require('vm');
+
+const FIXTURE_MANIFEST = path.join(__dirname, 'fixtures', 'manifest.json');
+const FULL_MANIFEST = path.join(__dirname, '..', 'clips-manifest.json');
+process.env.MANIFEST_PATH = FIXTURE_MANIFEST;
+
+const { HLSBuilder } = require('../hls-generator-server');
+const { compactManifest, expandManifest, isCompactManifest, parseClipFilename } = require('../manifest-format');
+const { PhraseTrie } = require('../phrase-trie');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compact-'));
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Load a manifest file in both formats
+ */
+function loadBoth(manifestPath) {
+  const compactPath = path.join(tempDir, path.basename(manifestPath));
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  fs.writeFileSync(compactPath, JSON.stringify(compactManifest(manifest)));
+
+  return { json: new HLSBuilder(manifestPath), compact: new HLSBuilder(compactPath) };
+}
+
+function provenanceOf(builder) {
+  const result = {};
+  for (const [phrase, clips] of Object.entries(builder.phraseClips)) {
+    for (const clip of clips) {
+      result[`${phrase}|${clip.filename}`] = builder.getProvenance(clip.filename, phrase);
+    }
+  }
+  return result;
+}
+
+test('PhraseTrie', async (t) => {
+  const trie = new PhraseTrie(['this', 'this is', 'this is not', 'a book']);
+
+  await t.test('returns every phrase starting at a position, shortest first', () => {
+    assert.deepStrictEqual(trie.prefixesAt(['this', 'is', 'not', 'a'], 0), [
+      { phrase: 'this', length: 1 },
+      { phrase: 'this is', length: 2 },
+      { phrase: 'this is not', length: 3 }
+    ]);
+  });
+
+  await t.test('honors maxLength and the end of the tokens', () => {
+    assert.deepStrictEqual(trie.prefixesAt(['this', 'is', 'not'], 0, 2).map(match => match.phrase), ['this', 'this is']);
+    assert.deepStrictEqual(trie.prefixesAt(['a'], 0), []);
+  });
+
+  await t.test('counts distinct phrases', () => {
+    trie.add('this is');
+    assert.strictEqual(trie.size, 4);
+  });
+});
+
+test('compact manifests', async (t) => {
+  await t.test('are detected by their format field', () => {
+    const manifest = JSON.parse(fs.readFileSync(FIXTURE_MANIFEST, 'utf8'));
+    assert.strictEqual(isCompactManifest(manifest), false);
+    assert.strictEqual(isCompactManifest(compactManifest(manifest)), true);
+  });
+
+  await t.test('intern network and show names', () => {
+    const compact = compactManifest(JSON.parse(fs.readFileSync(FIXTURE_MANIFEST, 'utf8')));
+    assert.strictEqual(compact.strings.filter(value => value === 'CSPAN2').length, 1);
+    assert.ok(compact.sources.every(source => source.every(field => typeof field === 'number' || /^\d+$/.test(field))));
+  });
+
+  await t.test('keep clips whose filenames cannot be rebuilt verbatim', () => {
+    const manifest = {
+      phraseMap: { odd: [] },
+      phraseClips: { odd: [{ filename: 'not_a_standard_name.ts', duration: 1 }] }
+    };
+    const expanded = expandManifest(compactManifest(manifest));
+    assert.deepStrictEqual(expanded.phraseClips.odd, manifest.phraseClips.odd);
+  });
+
+  await t.test('do not keep the clip tuples alive after loading', async () => {
+    v8.setFlagsFromString('--expose-gc');
+    const gc = vm.runInNewContext('gc');
+
+    let compact = compactManifest(JSON.parse(fs.readFileSync(FIXTURE_MANIFEST, 'utf8')));
+    const [phrase] = Object.keys(compact.phraseClips);
+    const tuples = new WeakRef(compact.phraseClips[phrase]);
+    const expanded = expandManifest(compact);
+    compact = null;
+
+    // WeakRef targets stay alive until the current job ends
+    await new Promise(setImmediate);
+    gc();
+
+    assert.strictEqual(tuples.deref(), undefined);
+    assert.ok(expanded.phraseClips[phrase].length > 0);
+    assert.ok(expanded.phraseMap[phrase].length > 0);
+  });
+
+  await t.test('reject unknown format versions', () => {
+    assert.throws(() => expandManifest({ format: 'compact', formatVersion: 99 }), /Unsupported compact manifest version/);
+  });
+});
+
+for (const [name, manifestPath] of [['fixture', FIXTURE_MANIFEST], ['full', FULL_MANIFEST]]) {
+  test(`${name} manifest behaves the same in both formats`, () => {
+    const { json, compact } = loadBoth(manifestPath);
+    const tokens = json.fixedTokens;
+
+    assert.strictEqual(compact.manifestFormat, 'compact');
+    assert.deepStrictEqual(compact.phraseClips, json.phraseClips);
+    assert.deepStrictEqual(compact.greedyMatchPhrases(tokens), json.greedyMatchPhrases(tokens));
+    assert.deepStrictEqual(compact.optimalMatchPhrases(tokens), json.optimalMatchPhrases(tokens));
+    assert.deepStrictEqual(provenanceOf(compact), provenanceOf(json));
+    assert.deepStrictEqual(
+      compact.generatePlaylist('a', { seed: 'same' }).script,
+      json.generatePlaylist('a', { seed: 'same' }).script
+    );
+  });
+}
+
+test('parseClipFilename strips the phrase suffix using the clip text', () => {
+  assert.deepStrictEqual(parseClipFilename('CSPAN2_20170812_213200_My_Life_with_Bob_77_137_a_book.ts', 'a book'), {
+    network: 'CSPAN2',
+    date: '20170812',
+    time: '213200',
+    title: 'My_Life_with_Bob',
+    identifier: 'CSPAN2_20170812_213200_My_Life_with_Bob',
+    start: 77,
+    end: 137
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Manifest validator tests against the fixture manifest
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const FIXTURE_MANIFEST = path.join(__dirname, 'fixtures', 'manifest.json');
+const VALIDATOR = path.join(__dirname, '..', 'manifest-validator.js');
+process.env.MANIFEST_PATH = FIXTURE_MANIFEST;
+
+const { HLSBuilder } = require('../hls-generator-server');
+const { validateManifest } = require('../manifest-validator');
+
+const OPENER = { filename: 'opener.ts', duration: 8.08 };
+
+const tempDirs = [];
+const makeTempDir = (prefix) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+};
+
+test.after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Builder over a modified copy of the fixture manifest
+ */
+function builderWith(modify) {
+  const manifest = JSON.parse(fs.readFileSync(FIXTURE_MANIFEST, 'utf8'));
+  modify(manifest);
+
+  const file = path.join(makeTempDir('manifest-'), 'manifest.json');
+  fs.writeFileSync(file, JSON.stringify(manifest));
+  return new HLSBuilder(file);
+}
+
+/**
+ * Clips directory containing every clip the builder references
+ */
+function clipsDirFor(builder) {
+  const dir = makeTempDir('clips-');
+  fs.mkdirSync(path.join(dir, 'trimmed'));
+  fs.mkdirSync(path.join(dir, 'static'));
+
+  for (const clips of Object.values(builder.phraseClips)) {
+    for (const clip of clips) {
+      fs.writeFileSync(path.join(dir, 'trimmed', clip.filename), '');
+    }
+  }
+  for (const entries of Object.values(builder.staticClips)) {
+    for (const clip of Object.values(entries)) {
+      fs.writeFileSync(path.join(dir, 'static', clip.filename), '');
+    }
+  }
+  fs.writeFileSync(path.join(dir, 'static', OPENER.filename), '');
+
+  return dir;
+}
+
+const codes = (report) => report.issues.map(issue => issue.code);
+
+test('a complete manifest with all clips present passes', async () => {
+  const builder = new HLSBuilder(FIXTURE_MANIFEST);
+  const report = await validateManifest(builder, { clipsDir: clipsDirFor(builder), segments: { opener: OPENER } });
+
+  assert.strictEqual(report.ok, true);
+  assert.deepStrictEqual(report.issues, []);
+  assert.deepStrictEqual(report.summary, { phraseClips: 7, staticClips: 12, errors: 0, warnings: 0 });
+  assert.deepStrictEqual(report.manifest, { version: 'test', generated: '2024-01-01T00:00:00Z' });
+});
+
+test('missing clip files are errors', async () => {
+  const builder = new HLSBuilder(FIXTURE_MANIFEST);
+  const dir = clipsDirFor(builder);
+  fs.rmSync(path.join(dir, 'static', 'static_word_of.ts'));
+
+  const report = await validateManifest(builder, { clipsDir: dir, segments: { opener: OPENER } });
+
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(report.issues.map(issue => [issue.code, issue.path]), [
+    ['MISSING_CLIP', 'static/static_word_of.ts']
+  ]);
+});
+
+test('closer and interstitial clips are checked like the opener', async () => {
+  const builder = new HLSBuilder(FIXTURE_MANIFEST);
+  const segments = {
+    opener: OPENER,
+    closer: { filename: 'closer.ts', duration: 4 },
+    interstitial: { filename: 'bumper.ts', duration: 0 }
+  };
+
+  const report = await validateManifest(builder, { clipsDir: clipsDirFor(builder), segments });
+
+  assert.deepStrictEqual(report.issues.map(issue => [issue.code, issue.type]), [
+    ['INVALID_DURATION', 'interstitial'],
+    ['MISSING_CLIP', 'closer'],
+    ['MISSING_CLIP', 'interstitial']
+  ]);
+});
+
+test('fails without a clip source unless existence is skipped explicitly', async () => {
+  const unchecked = await validateManifest(new HLSBuilder(FIXTURE_MANIFEST));
+  assert.strictEqual(unchecked.ok, false);
+  assert.deepStrictEqual(unchecked.issues.map(issue => [issue.severity, issue.code]), [['error', 'EXISTENCE_NOT_CHECKED']]);
+
+  const skipped = await validateManifest(new HLSBuilder(FIXTURE_MANIFEST), { skipExistence: true });
+  assert.strictEqual(skipped.ok, true);
+  assert.deepStrictEqual(skipped.issues.map(issue => [issue.severity, issue.code]), [['warning', 'EXISTENCE_NOT_CHECKED']]);
+});
+
+test('CLI refuses out-of-range numbers with a usage error', () => {
+  const cases = [
+    ['--concurrency', '0'],
+    ['--concurrency', '-4'],
+    ['--concurrency', '2.5'],
+    ['--concurrency', 'many'],
+    ['--min-word-duration', 'NaN'],
+    ['--max-word-duration', 'Infinity'],
+    ['--max-word-duration', '']
+  ];
+
+  for (const args of cases) {
+    const result = spawnSync(process.execPath, [VALIDATOR, '--skip-existence', ...args], { encoding: 'utf8' });
+    assert.strictEqual(result.status, 2, args.join(' '));
+    assert.match(result.stderr, new RegExp(`${args[0]} must be`));
+    assert.strictEqual(result.stdout, '');
+  }
+});
+
+test('CLI prints only the JSON report to stdout', () => {
+  const result = spawnSync(process.execPath, [VALIDATOR, '--manifest', FIXTURE_MANIFEST, '--skip-existence'], {
+    encoding: 'utf8',
+    env: { ...process.env, R2_BASE_URL: '' }
+  });
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(JSON.parse(result.stdout).ok, true);
+});
+
+test('CLI reports every work in the works file with its own text and segments', () => {
+  const dir = makeTempDir('validate-works-');
+  const works = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'works.json'), 'utf8'));
+  works.works = [
+    { ...works.works[1], textFile: undefined, text: 'This is a zebra.', manifest: FIXTURE_MANIFEST, opener: { filename: 'long.ts', duration: 12 } },
+    { slug: 'missing', title: 'Missing', manifest: 'missing.json' }
+  ];
+  works.default = 'not-a-book';
+  fs.writeFileSync(path.join(dir, 'works.json'), JSON.stringify(works));
+
+  const result = spawnSync(process.execPath, [VALIDATOR, '--skip-existence'], {
+    encoding: 'utf8',
+    env: { ...process.env, R2_BASE_URL: '', WORKS_PATH: path.join(dir, 'works.json') }
+  });
+  const report = JSON.parse(result.stdout);
+  const [notABook, missing] = report.works;
+
+  assert.strictEqual(result.status, 1);
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(report.works.map(work => work.work), ['not-a-book', 'missing']);
+
+  assert.deepStrictEqual(notABook.issues.filter(issue => issue.severity === 'error').map(issue => [issue.code, issue.token ?? issue.key]), [
+    ['DURATION_EXCEEDS_TARGET', 'opener'],
+    ['UNCOVERED_TOKEN', 'zebra']
+  ]);
+  assert.strictEqual(missing.ok, false);
+  assert.strictEqual(missing.manifestPath, path.join(dir, 'missing.json'));
+  assert.strictEqual(missing.issues[0].code, 'MANIFEST_LOAD_FAILED');
+  assert.match(result.stderr, /✗ not-a-book .*: 2 errors/);
+});
+
+test('loads manifests without the server', () => {
+  const result = spawnSync(process.execPath, ['-e', `
+    require(${JSON.stringify(VALIDATOR)});
+    console.log(Object.keys(require.cache).some(file => file.endsWith('hls-generator-server.js')));
+  `], { encoding: 'utf8' });
+
+  assert.strictEqual(result.stdout.trim(), 'false', result.stderr);
+});
+
+test('flags invalid, over-target and outlier durations', async () => {
+  const builder = builderWith(manifest => {
+    manifest.phraseClips['this is'][0].duration = 0;
+    manifest.phraseClips['a book'][0].duration = 12;
+    manifest.phraseClips['book of history'][0].duration = 0.05;
+  });
+  const report = await validateManifest(builder, { clipsDir: clipsDirFor(builder), segments: { opener: OPENER } });
+
+  assert.deepStrictEqual(report.issues.map(issue => [issue.severity, issue.code, issue.key]), [
+    ['error', 'INVALID_DURATION', 'this is'],
+    ['error', 'DURATION_EXCEEDS_TARGET', 'a book'],
+    ['warning', 'DURATION_OUTLIER', 'book of history']
+  ]);
+});
+
+test('flags fixed tokens with no clip at all', async () => {
+  const builder = builderWith(manifest => {
+    delete manifest.staticClips.words.history;
+  });
+  const report = await validateManifest(builder, { clipsDir: clipsDirFor(builder), segments: { opener: OPENER } });
+
+  assert.deepStrictEqual(report.issues.map(issue => [issue.code, issue.token]), [['UNCOVERED_TOKEN', 'history']]);
+});
+
+test('duplicate filenames: error within one key, warning across keys', async () => {
+  const builder = builderWith(manifest => {
+    const clips = manifest.phraseClips['a book'];
+    clips.push({ ...clips[0] });
+    manifest.staticClips.punctuation['--'] = manifest.staticClips.punctuation['-'];
+  });
+  const report = await validateManifest(builder, { clipsDir: clipsDirFor(builder), segments: { opener: OPENER } });
+
+  assert.deepStrictEqual(report.issues.map(issue => [issue.severity, issue.code, issue.filename]), [
+    ['error', 'DUPLICATE_FILENAME', builder.phraseClips['a book'][0].filename],
+    ['warning', 'DUPLICATE_FILENAME', 'static_punct_dash.ts']
+  ]);
+});
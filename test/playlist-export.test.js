@@ -0,0 +1,44 @@
+/**
+ * Playlist exporter tests on a synthetic timeline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildEDL } = require('../playlist-export');
+
+/**
+ * count one-second phrase clips, back to back
+ */
+function timeline(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    index: i,
+    type: 'phrase',
+    text: `word ${i}`,
+    filename: `clip_${i}.ts`,
+    duration: 1,
+    start: i,
+    end: i + 1
+  }));
+}
+
+test('buildEDL', async (t) => {
+  await t.test('writes one CMX3600 event per clip', () => {
+    const edl = buildEDL(timeline(2), { title: 'Test', fps: 30 });
+
+    assert.ok(edl.startsWith('TITLE: Test\nFCM: NON-DROP FRAME\n\n'));
+    assert.ok(edl.includes('001  AX       AA/V  C        00:00:00:00 00:00:01:00 00:00:00:00 00:00:01:00\n* FROM CLIP NAME: clip_0.ts\n* COMMENT: word 0\n'));
+    assert.ok(edl.includes('002  AX       AA/V  C        00:00:00:00 00:00:01:00 00:00:01:00 00:00:02:00\n'));
+  });
+
+  await t.test('wraps event numbers after 999', () => {
+    const events = buildEDL(timeline(1001), { title: 'Long', fps: 30 })
+      .split('\n')
+      .filter(line => /^\d+ /.test(line))
+      .map(line => line.split(' ')[0]);
+
+    assert.strictEqual(events.length, 1001);
+    assert.ok(events.every(event => event.length === 3));
+    assert.deepStrictEqual(events.slice(997), ['998', '999', '001', '002']);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Render job tests
+ * Renders with test/fixtures/fake-ffmpeg, which concatenates the listed clips as text,
+ * from a temporary clips directory holding every fixture clip.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const FAKE_FFMPEG = path.join(FIXTURES, 'fake-ffmpeg');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-'));
+const clipsDir = path.join(tempDir, 'hls_clips');
+
+process.env.MANIFEST_PATH = path.join(FIXTURES, 'manifest.json');
+process.env.SESSION_STORE = 'memory';
+process.env.CLIPS_DIR = clipsDir;
+process.env.RENDER_DIR = path.join(tempDir, 'renders');
+process.env.FFMPEG_PATH = FAKE_FFMPEG;
+
+const { app } = require('../hls-generator-server');
+const { RenderQueue } = require('../render-jobs');
+
+/**
+ * Write each fixture clip as a one-line text file holding its filename
+ */
+function writeClips() {
+  const manifest = JSON.parse(fs.readFileSync(process.env.MANIFEST_PATH, 'utf8'));
+  const trimmed = Object.values(manifest.phraseClips).flat().map(clip => clip.filename);
+  const statics = [
+    'opener.ts',
+    ...Object.values(manifest.staticClips.words).map(clip => clip.filename),
+    ...Object.values(manifest.staticClips.punctuation).map(clip => clip.filename)
+  ];
+
+  for (const [dir, filenames] of [['trimmed', trimmed], ['static', statics]]) {
+    fs.mkdirSync(path.join(clipsDir, dir), { recursive: true });
+    for (const filename of filenames) {
+      fs.writeFileSync(path.join(clipsDir, dir, filename), `${filename}\n`);
+    }
+  }
+}
+
+writeClips();
+
+/**
+ * Poll until a job has finished
+ */
+async function finished(queue, jobId) {
+  for (let i = 0; i < 500; i++) {
+    const job = queue.get(jobId);
+    if (job.status === 'done' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Render ${jobId} did not finish`);
+}
+
+const timeline = [
+  { type: 'opener', filename: 'opener.ts', duration: 2, start: 0, end: 2 },
+  { type: 'phrase', filename: 'CSPAN_20130101_120000_Washington_Journal_10_70_this_is.ts', duration: 0.5, start: 2, end: 2.5 }
+];
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('RenderQueue', async (t) => {
+  const options = { clipsDir, outputDir: path.join(tempDir, 'queue'), ffmpegPath: FAKE_FFMPEG };
+
+  await t.test('concatenates local clips in timeline order', async () => {
+    const queue = new RenderQueue(options);
+    const job = await finished(queue, queue.enqueue({ sessionId: 's1', filename: 's1.mp4', timeline }).id);
+
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.progress, 1);
+    assert.strictEqual(fs.readFileSync(job.outputPath, 'utf8'), `opener.ts\n${timeline[1].filename}\n`);
+    assert.deepStrictEqual(fs.readdirSync(options.outputDir), [path.basename(job.outputPath)]);
+  });
+
+  await t.test('fails when a clip is missing from the clips directory', async () => {
+    const queue = new RenderQueue(options);
+    const missing = [...timeline, { type: 'phrase', filename: 'gone.ts', duration: 1, start: 2.5, end: 3.5 }];
+    const job = await finished(queue, queue.enqueue({ sessionId: 's2', filename: 's2.mp4', timeline: missing }).id);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /1 clip\(s\) not found .* gone\.ts/);
+  });
+
+  await t.test('fails when ffmpeg is not installed', async () => {
+    const queue = new RenderQueue({ ...options, ffmpegPath: path.join(tempDir, 'no-ffmpeg') });
+    const job = await finished(queue, queue.enqueue({ sessionId: 's3', filename: 's3.mp4', timeline }).id);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /ffmpeg not found/);
+  });
+
+  await t.test('runs one job at a time and refuses more than maxQueued', async () => {
+    const queue = new RenderQueue({ ...options, maxQueued: 1 });
+    const first = queue.enqueue({ sessionId: 'a', filename: 'a.mp4', timeline });
+    const second = queue.enqueue({ sessionId: 'b', filename: 'b.mp4', timeline });
+
+    assert.strictEqual(first.status, 'rendering');
+    assert.strictEqual(queue.describe(second).queuePosition, 1);
+    assert.strictEqual(queue.enqueue({ sessionId: 'c', filename: 'c.mp4', timeline }), null);
+
+    assert.strictEqual((await finished(queue, second.id)).status, 'done');
+  });
+
+  await t.test('expires finished jobs and deletes their files', async () => {
+    const queue = new RenderQueue({ ...options, ttl: 1000 });
+    const job = await finished(queue, queue.enqueue({ sessionId: 'd', filename: 'd.mp4', timeline }).id);
+
+    assert.deepStrictEqual(await queue.expire(job.finishedAt + 500), []);
+    assert.deepStrictEqual(await queue.expire(job.finishedAt + 1500), [job.id]);
+    assert.strictEqual(fs.existsSync(job.outputPath), false);
+    assert.strictEqual(queue.get(job.id), null);
+  });
+});
+
+test('render routes', async (t) => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => server.close());
+
+  const post = (route, body = {}) => fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const { sessionId } = await (await post('/generate', { seed: 'render-seed' })).json();
+
+  await t.test('queues a render, reports progress and serves the MP4', async () => {
+    const res = await post(`/session/${sessionId}/render`);
+    const queued = await res.json();
+
+    assert.strictEqual(res.status, 202);
+    assert.strictEqual(queued.sessionId, sessionId);
+    assert.strictEqual(queued.statusUrl, `/render/${queued.jobId}`);
+
+    let status;
+    for (let i = 0; i < 500; i++) {
+      status = await (await fetch(`${baseUrl}${queued.statusUrl}`)).json();
+      if (status.status === 'done' || status.status === 'failed') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.strictEqual(status.status, 'done', status.error);
+    assert.strictEqual(status.progress, 1);
+    assert.strictEqual(status.downloadUrl, `/render/${queued.jobId}.mp4`);
+
+    const download = await fetch(`${baseUrl}${status.downloadUrl}`);
+    assert.strictEqual(download.status, 200);
+    assert.match(download.headers.get('content-type'), /video\/mp4/);
+    assert.match(download.headers.get('content-disposition'), /filename="lives-of-infamous-men-render-seed\.mp4"/);
+
+    // The session's clips, opener first, in playback order
+    const exported = await (await fetch(`${baseUrl}/session/${sessionId}/export?format=json`)).json();
+    const clips = (await download.text()).trim().split('\n');
+    assert.strictEqual(clips[0], 'opener.ts');
+    assert.deepStrictEqual(clips, exported.clips.map(clip => clip.filename));
+  });
+
+  await t.test('returns the existing job when asked again', async () => {
+    const first = await (await post(`/session/${sessionId}/render`)).json();
+    const res = await post(`/session/${sessionId}/render`);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).jobId, first.jobId);
+  });
+
+  await t.test('returns 404 for unknown sessions and jobs', async () => {
+    assert.strictEqual((await post('/session/nope/render')).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/render/nope`)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/render/nope.mp4`)).status, 404);
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * HTTP route integration tests
+ * Runs the exported app on an ephemeral port against the fixture manifest.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MANIFEST_PATH = path.join(__dirname, 'fixtures', 'manifest.json');
+process.env.SESSION_STORE = 'memory';
+// Clip URLs stay relative, so exports resolve them against this server
+process.env.R2_BASE_URL = '';
+
+const { app, reloadManifest, sessions, CONFIG } = require('../hls-generator-server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+function request(method, route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+}
+
+async function generate(body = {}) {
+  const res = await request('POST', '/generate', body);
+  assert.strictEqual(res.status, 200);
+  return res.json();
+}
+
+test('GET /health reports status and session count', async () => {
+  const before = (await (await request('GET', '/health')).json()).sessions;
+  await generate();
+
+  const res = await request('GET', '/health');
+  const health = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(health.status, 'healthy');
+  assert.strictEqual(health.sessions, before + 1);
+  assert.strictEqual(typeof health.uptime, 'number');
+  assert.strictEqual(health.manifest.version, 'test');
+  assert.strictEqual(health.manifest.generated, '2024-01-01T00:00:00Z');
+});
+
+test('manifest reload', async (t) => {
+  await t.test('swaps in a valid manifest and reports it in /health', async () => {
+    const { sessionId } = await generate({ seed: 'before-reload' });
+
+    const result = await reloadManifest('test');
+    assert.strictEqual(result.reloaded, true);
+
+    const after = (await (await request('GET', '/health')).json()).manifest;
+    assert.strictEqual(after.loadedAt, result.manifest.loadedAt);
+
+    // Sessions built before the reload keep their playlists
+    assert.strictEqual((await request('GET', `/${sessionId}.m3u8`)).status, 200);
+  });
+
+  await t.test('admin endpoint is hidden without ADMIN_TOKEN', async () => {
+    const res = await request('POST', '/admin/reload-manifest');
+    assert.strictEqual(res.status, 404);
+  });
+
+  const reloadAs = (token) => fetch(`${baseUrl}/admin/reload-manifest`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  await t.test('admin endpoint reloads with the right token', async (t) => {
+    CONFIG.adminToken = 'test-token';
+    t.after(() => { CONFIG.adminToken = null; });
+
+    const refused = await reloadAs('wrong-token');
+    assert.strictEqual(refused.status, 401);
+    assert.strictEqual((await refused.json()).code, 'UNAUTHORIZED');
+
+    const res = await reloadAs('test-token');
+    const body = await res.json();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(body.reloaded, true);
+    assert.strictEqual(body.manifest.version, 'test');
+
+    const health = (await (await request('GET', '/health')).json()).manifest;
+    assert.strictEqual(health.loadedAt, body.manifest.loadedAt);
+  });
+
+  await t.test('admin endpoint keeps the current manifest when the new one fails validation', async (t) => {
+    const before = (await (await request('GET', '/health')).json()).manifest;
+    const manifest = JSON.parse(fs.readFileSync(CONFIG.manifestPath, 'utf8'));
+    manifest.version = 'broken';
+    manifest.phraseClips['this is'][0].duration = 0;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reload-'));
+    const manifestPath = CONFIG.manifestPath;
+    fs.writeFileSync(path.join(tempDir, 'manifest.json'), JSON.stringify(manifest));
+    CONFIG.adminToken = 'test-token';
+    CONFIG.manifestPath = path.join(tempDir, 'manifest.json');
+    t.after(() => {
+      CONFIG.adminToken = null;
+      CONFIG.manifestPath = manifestPath;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const res = await reloadAs('test-token');
+    const body = await res.json();
+    assert.strictEqual(res.status, 422);
+    assert.strictEqual(body.code, 'MANIFEST_REJECTED');
+    assert.deepStrictEqual(body.issues.map(issue => [issue.code, issue.key]), [['INVALID_DURATION', 'this is']]);
+
+    assert.deepStrictEqual((await (await request('GET', '/health')).json()).manifest, before);
+    assert.strictEqual((await generate()).stats.totalTokens, 8);
+  });
+});
+
+test('POST /generate', async (t) => {
+  await t.test('creates a fixed-text session', async () => {
+    const result = await generate({ seed: 'fixture-seed' });
+
+    assert.match(result.sessionId, /^[0-9a-f]{32}$/);
+    assert.strictEqual(result.seed, 'fixture-seed');
+    assert.strictEqual(result.playlistUrl, `/${result.sessionId}.m3u8`);
+    assert.strictEqual(result.seedUrl, '/seed/fixture-seed.m3u8');
+    assert.strictEqual(result.stats.totalTokens, 8);
+    assert.strictEqual(result.stats.matchedPhrases, 2);
+    assert.deepStrictEqual(result.stats.unmatchedTokens, []);
+  });
+
+  await t.test('accepts custom text', async () => {
+    const result = await generate({ text: 'A book, this is not.' });
+
+    assert.strictEqual(result.seedUrl, null);
+    assert.strictEqual(result.stats.totalTokens, 7);
+  });
+
+  await t.test('reports tokens with no clip at all', async () => {
+    const result = await generate({ text: 'a zebra' });
+    assert.deepStrictEqual(result.stats.unmatchedTokens, [{ index: 1, token: 'zebra' }]);
+  });
+
+  await t.test('rejects invalid input with an error code', async () => {
+    const cases = [
+      [{ text: 42 }, 400, 'INVALID_TEXT'],
+      [{ text: '   ' }, 400, 'EMPTY_TEXT'],
+      [{ seed: 'not a seed!' }, 400, 'INVALID_SEED'],
+      [{ strategy: 'nope' }, 400, 'INVALID_STRATEGY'],
+      [{ filters: ['CSPAN'] }, 400, 'INVALID_FILTERS'],
+      [{ filters: { channels: ['CSPAN'] } }, 400, 'INVALID_FILTERS'],
+      [{ filters: { networks: 'CSPAN' } }, 400, 'INVALID_FILTERS'],
+      [{ filters: { excludePrograms: [''] } }, 400, 'INVALID_FILTERS'],
+      [{ filters: { airedFrom: '2020/01/01' } }, 400, 'INVALID_FILTERS'],
+      ['{"text": ', 400, 'INVALID_JSON']
+    ];
+
+    for (const [body, status, code] of cases) {
+      const res = await request('POST', '/generate', body);
+      assert.strictEqual(res.status, status, JSON.stringify(body));
+      assert.strictEqual((await res.json()).code, code);
+    }
+  });
+});
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+function parseEvents(body) {
+  return body.trim().split('\n\n').map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+test('POST /generate/stream', async (t) => {
+  await t.test('reports each stage, then the /generate response', async () => {
+    const res = await request('POST', '/generate/stream', { seed: 'stream-seed' });
+    const events = parseEvents(await res.text());
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    assert.deepStrictEqual(events.map(e => e.data.stage || e.event), ['tokenize', 'match', 'select', 'build', 'store', 'done']);
+
+    const stage = (name) => events.find(e => e.data.stage === name).data;
+    const done = events[events.length - 1].data;
+    assert.strictEqual(stage('tokenize').tokens, 8);
+    assert.strictEqual(stage('match').phrases, done.stats.matchedPhrases);
+    assert.strictEqual(stage('select').clips, done.stats.totalClips);
+    assert.strictEqual(stage('build').duration, done.stats.playbackDuration);
+    assert.strictEqual(stage('store').sessionId, done.sessionId);
+
+    // Same seed, same session as a plain /generate
+    const plain = await generate({ seed: 'stream-seed' });
+    assert.deepStrictEqual({ ...done, sessionId: null, playlistUrl: null, masterPlaylistUrl: null, subtitlesUrl: null },
+      { ...plain, sessionId: null, playlistUrl: null, masterPlaylistUrl: null, subtitlesUrl: null });
+  });
+
+  await t.test('sends each stage as it finishes, not all at the end', async () => {
+    const res = await request('POST', '/generate/stream', { seed: 'stream-seed' });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const reads = [];
+
+    for (let read = await reader.read(); !read.done; read = await reader.read()) {
+      reads.push(decoder.decode(read.value).match(/"stage":"\w+"|^event: done$/gm));
+    }
+
+    // Unflushed, every event would arrive in one read once generation had finished
+    assert.ok(reads.length >= 4, `${reads.length} read(s)`);
+    assert.deepStrictEqual(reads[reads.length - 1], ['"stage":"store"', 'event: done']);
+  });
+
+  await t.test('reports a filter stage when filtering', async () => {
+    const res = await request('POST', '/generate/stream', { filters: { networks: ['CSPAN'] } });
+    const filter = parseEvents(await res.text()).find(e => e.data.stage === 'filter');
+    assert.ok(filter.data.removedClips > 0);
+  });
+
+  await t.test('refuses invalid requests before streaming', async () => {
+    const res = await request('POST', '/generate/stream', { strategy: 'nope' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'INVALID_STRATEGY');
+  });
+
+  await t.test('ends with an error event when nothing can be generated', async () => {
+    // A lone combining accent passes validation but leaves no tokens once diacritics are removed
+    const events = parseEvents(await (await request('POST', '/generate/stream', { text: '\u0301' })).text());
+    const last = events[events.length - 1];
+
+    assert.strictEqual(last.event, 'error');
+    assert.deepStrictEqual(last.data, { error: 'text contains no words or punctuation', code: 'NO_TOKENS', status: 400 });
+  });
+});
+
+test('GET /:sessionId.m3u8', async (t) => {
+  await t.test('serves the session playlist', async () => {
+    const { playlistUrl, sessionId } = await generate({ seed: 'playlist-seed' });
+    const res = await request('GET', playlistUrl);
+    const body = await res.text();
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/vnd\.apple\.mpegurl/);
+    assert.ok(body.startsWith('#EXTM3U\n'));
+    assert.ok(body.includes(`# Session: ${sessionId}`));
+    assert.ok(body.includes('#EXT-X-ENDLIST'));
+  });
+
+  await t.test('returns 404 for unknown sessions', async () => {
+    const res = await request('GET', '/0123456789abcdef0123456789abcdef.m3u8');
+    assert.strictEqual(res.status, 404);
+  });
+});
+
+test('GET /session/:sessionId', async (t) => {
+  await t.test('returns session details and the timeline', async () => {
+    const { sessionId } = await generate({ seed: 'details-seed' });
+    const res = await request('GET', `/session/${sessionId}`);
+    const session = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(session.seed, 'details-seed');
+    assert.strictEqual(session.strategy, 'uniform');
+    assert.deepStrictEqual(session.script.map(item => item.text), ['this is not', 'a book', 'of', 'history', '.']);
+
+    const [first] = session.script;
+    assert.strictEqual(first.type, 'phrase');
+    assert.strictEqual(first.start, session.openerDuration);
+    assert.strictEqual(first.provenance.network, 'BBCNEWS');
+  });
+
+  await t.test('returns 404 for unknown sessions', async () => {
+    const res = await request('GET', '/session/0123456789abcdef0123456789abcdef');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual((await res.json()).error, 'Session not found');
+  });
+});
+
+test('GET /session/:sessionId/export', async (t) => {
+  const { sessionId } = await generate({ seed: 'export-seed' });
+
+  await t.test('resolves relative clip paths with the forwarded protocol', async () => {
+    const res = await fetch(`${baseUrl}/session/${sessionId}/export?format=json`, {
+      headers: { 'X-Forwarded-Proto': 'https' }
+    });
+    const { clips } = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.ok(clips.every(clip => clip.url.startsWith(`https://${new URL(baseUrl).host}/hls_clips/`)), clips[0].url);
+  });
+
+  await t.test('resolves them against PUBLIC_URL when set', async (t) => {
+    CONFIG.publicUrl = 'https://example.org/';
+    t.after(() => { CONFIG.publicUrl = null; });
+
+    const { clips } = await (await request('GET', `/session/${sessionId}/export?format=json`)).json();
+    assert.strictEqual(clips[0].url, 'https://example.org/hls_clips/static/opener.ts');
+  });
+});
+
+test('captions', async (t) => {
+  const { sessionId, subtitlesUrl } = await generate({ seed: 'captions-seed' });
+
+  await t.test('pins cue times to the media timestamps', async () => {
+    const res = await request('GET', subtitlesUrl);
+    const body = await res.text();
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/vtt/);
+    assert.ok(body.startsWith('WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n\n1\n'));
+  });
+
+  await t.test('master, subtitle playlist and captions count as session access', async () => {
+    for (const route of [`/session/${sessionId}/master.m3u8`, `/session/${sessionId}/subtitles.m3u8`, subtitlesUrl]) {
+      (await sessions.get(sessionId)).lastAccessed = 0;
+      assert.strictEqual((await request('GET', route)).status, 200);
+      assert.ok((await sessions.get(sessionId)).lastAccessed > 0, route);
+    }
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Session store tests
+ * Runs the file store against a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileSessionStore } = require('../session-store');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('FileSessionStore', async (t) => {
+  const store = new FileSessionStore({ ttl: 60000, expireBy: 'lastAccessed', directory: tempDir });
+
+  await t.test('round-trips a session', async () => {
+    await store.set('abc', { seed: 'x', created: 1000 });
+    assert.deepStrictEqual(await store.get('abc'), { seed: 'x', created: 1000, lastAccessed: 1000 });
+    assert.strictEqual(await store.get('missing'), null);
+    assert.strictEqual(await store.get('../abc'), null);
+  });
+
+  await t.test('survives parallel touches of one session', async () => {
+    await store.set('busy', { seed: 'y' });
+
+    const results = await Promise.all(Array.from({ length: 20 }, () => store.touch('busy')));
+
+    assert.ok(results.every(Boolean));
+    assert.strictEqual((await store.get('busy')).seed, 'y');
+    assert.deepStrictEqual(fs.readdirSync(tempDir).filter(file => file.endsWith('.tmp')), []);
+  });
+
+  await t.test('expires by last access', async () => {
+    await store.set('old', { seed: 'z', created: 1000 });
+    assert.deepStrictEqual((await store.expire(Date.now())).sort(), ['abc', 'old']);
+    assert.strictEqual(await store.count(), 1);
+  });
+});
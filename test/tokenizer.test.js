@@ -0,0 +1,66 @@
+/**
+ * Tokenizer parity tests
+ * The manifest's fixedTokens were produced by the Python pipeline; the JS tokenizer
+ * must reproduce them exactly from fixedText, or phrase and static clip lookups drift.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CHARACTER_MAP, normalizeCharacters, normalizeAndTokenize, paragraphBreaks } = require('../tokenizer');
+
+const MANIFEST_PATH = process.env.MANIFEST_PATH || path.join(__dirname, '..', 'clips-manifest.json');
+const cases = require('./fixtures/tokenizer-cases.json');
+
+/**
+ * Describe the first position where two token lists diverge, with surrounding context
+ */
+function firstDivergence(actual, expected) {
+  const length = Math.max(actual.length, expected.length);
+
+  for (let i = 0; i < length; i++) {
+    if (actual[i] !== expected[i]) {
+      const context = (tokens) => JSON.stringify(tokens.slice(Math.max(0, i - 3), i + 4));
+      return `token ${i}: got ${JSON.stringify(actual[i])}, expected ${JSON.stringify(expected[i])}\n` +
+        `  got:      ${context(actual)}\n` +
+        `  expected: ${context(expected)}`;
+    }
+  }
+
+  return null;
+}
+
+test('re-tokenizing fixedText reproduces the manifest fixedTokens', () => {
+  const manifest = require(MANIFEST_PATH);
+  const tokens = normalizeAndTokenize(manifest.fixedText);
+
+  assert.strictEqual(firstDivergence(tokens, manifest.fixedTokens), null);
+  assert.strictEqual(tokens.length, manifest.fixedTokens.length);
+});
+
+for (const { name, text, tokens } of cases) {
+  test(`golden: ${name}`, () => {
+    assert.deepStrictEqual(normalizeAndTokenize(text), tokens);
+  });
+}
+
+test('character map only produces ASCII', () => {
+  for (const [from, to] of Object.entries(CHARACTER_MAP)) {
+    assert.match(to, /^[\x20-\x7e]+$/, `U+${from.codePointAt(0).toString(16)} maps to non-ASCII`);
+  }
+});
+
+test('paragraphBreaks gives the first token index of each later paragraph', () => {
+  const text = 'This is not.\n\nA book,\r\n  \r\nof history.\n\n\n';
+
+  assert.deepStrictEqual(paragraphBreaks(text), [4, 7]);
+  assert.deepStrictEqual(normalizeAndTokenize(text).slice(4, 7), ['a', 'book', ',']);
+  assert.deepStrictEqual(paragraphBreaks('One line\nthen another.'), []);
+});
+
+test('normalizeCharacters maps typographic punctuation to manifest keys', () => {
+  assert.strictEqual(normalizeCharacters('“'), '"');
+  assert.strictEqual(normalizeCharacters('’'), "'");
+  assert.strictEqual(normalizeCharacters('—'), '-');
+  assert.strictEqual(normalizeCharacters('–'), '-');
+});
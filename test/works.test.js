@@ -0,0 +1,187 @@
+/**
+ * Works tests
+ * Loads two works over the fixture manifest: the manifest's fixed text, and a text file with its own segments.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+process.env.MANIFEST_PATH = path.join(FIXTURES, 'manifest.json');
+process.env.WORKS_PATH = path.join(FIXTURES, 'works.json');
+process.env.SESSION_STORE = 'memory';
+
+const { app, builder } = require('../hls-generator-server');
+const { loadWorks } = require('../works');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'works-'));
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function request(method, route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+function writeWorks(config) {
+  const worksPath = path.join(tempDir, 'works.json');
+  fs.writeFileSync(worksPath, JSON.stringify(config));
+  return worksPath;
+}
+
+test('loadWorks', async (t) => {
+  const defaults = { manifestPath: 'clips-manifest.json' };
+
+  await t.test('falls back to one work over the manifest when there is no works file', () => {
+    const { defaultSlug, works } = loadWorks(path.join(tempDir, 'missing.json'), defaults);
+
+    assert.strictEqual(defaultSlug, 'default');
+    assert.strictEqual(works.length, 1);
+    assert.strictEqual(works[0].manifestPath, 'clips-manifest.json');
+    assert.strictEqual(works[0].text, null);
+  });
+
+  await t.test('fills defaults and resolves paths against the works file', () => {
+    const { defaultSlug, works } = loadWorks(process.env.WORKS_PATH, defaults);
+    const [history, notABook] = works;
+
+    assert.strictEqual(defaultSlug, 'history');
+    assert.strictEqual(history.manifestPath, process.env.MANIFEST_PATH);
+    assert.deepStrictEqual(history.segments, { closer: null });
+    assert.strictEqual(notABook.text, 'A book,\n\nthis is not.\n');
+    assert.deepStrictEqual(Object.keys(notABook.segments), ['opener', 'closer', 'interstitial']);
+  });
+
+  await t.test('rejects invalid definitions', () => {
+    const cases = [
+      [{ works: [] }, /non-empty array/],
+      [{ works: [{ slug: 'Bad Slug', title: 'x' }] }, /slug must be/],
+      [{ works: [{ slug: 'a' }] }, /title is required/],
+      [{ works: [{ slug: 'a', title: 'A', text: 'x', textFile: 'x.txt' }] }, /not both/],
+      [{ works: [{ slug: 'a', title: 'A', opener: { filename: 'o.ts' } }] }, /opener must be null or have a filename/],
+      [{ works: [{ slug: 'a', title: 'A' }, { slug: 'a', title: 'B' }] }, /duplicate slug "a"/],
+      [{ default: 'b', works: [{ slug: 'a', title: 'A' }] }, /default work "b"/]
+    ];
+
+    for (const [config, message] of cases) {
+      assert.throws(() => loadWorks(writeWorks(config), defaults), message);
+    }
+  });
+});
+
+test('GET /works lists every work', async () => {
+  const res = await request('GET', '/works');
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.default, 'history');
+  assert.deepStrictEqual(body.works.map(work => [work.slug, work.default, work.totalTokens]), [
+    ['history', true, 8],
+    ['not-a-book', false, 7]
+  ]);
+  assert.strictEqual(body.works[1].generateUrl, '/works/not-a-book/generate');
+});
+
+test('GET /works/:slug', async (t) => {
+  await t.test('describes the work and its coverage', async () => {
+    const work = await (await request('GET', '/works/not-a-book')).json();
+
+    assert.strictEqual(work.title, 'A Book, This Is Not');
+    assert.strictEqual(work.segments.opener.filename, 'opener-short.ts');
+    assert.strictEqual(work.segments.closer.duration, 3);
+    assert.strictEqual(work.coverage.coveredPercent, 100);
+    assert.strictEqual(work.manifest.version, 'test');
+  });
+
+  await t.test('returns 404 for unknown works', async () => {
+    const res = await request('GET', '/works/nope');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual((await res.json()).code, 'WORK_NOT_FOUND');
+  });
+});
+
+test('works share one manifest', () => {
+  assert.strictEqual(builder.manifestPath, process.env.MANIFEST_PATH);
+});
+
+test('POST /works/:slug/generate', async (t) => {
+  await t.test('performs the work text with its segments', async () => {
+    const res = await request('POST', '/works/not-a-book/generate', { seed: 'work-seed' });
+    const result = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(result.work, 'not-a-book');
+    assert.strictEqual(result.stats.totalTokens, 7);
+    assert.strictEqual(result.stats.totalClips, 4);
+    assert.strictEqual(result.stats.interstitials, 1);
+    assert.ok(Math.abs(result.stats.playbackDuration - (2 + result.stats.totalDuration + 1 + 3)) < 1e-9);
+    assert.strictEqual(result.seedUrl, '/works/not-a-book/seed/work-seed.m3u8');
+
+    const session = await (await request('GET', `/session/${result.sessionId}`)).json();
+    assert.strictEqual(session.work, 'not-a-book');
+    assert.strictEqual(session.openerDuration, 2);
+    assert.strictEqual(session.closerDuration, 3);
+    assert.strictEqual(session.playbackDuration, result.stats.playbackDuration);
+    assert.deepStrictEqual(session.script.map(item => item.type === 'interstitial' ? '|' : item.text), [
+      'a book', ',', '|', 'this is not', '.'
+    ]);
+
+    // Script times leave room for the opener, and the closer follows the last entry
+    const last = session.script[session.script.length - 1];
+    assert.strictEqual(session.script[0].start, 2);
+    assert.strictEqual(last.end + session.closerDuration, session.playbackDuration);
+
+    const playlist = await (await request('GET', result.playlistUrl)).text();
+    const uris = playlist.split('\n').filter(line => line.startsWith('/'));
+    assert.deepStrictEqual([uris[0], uris[3], uris[uris.length - 1]], [
+      '/hls_clips/static/opener-short.ts',
+      '/hls_clips/static/bumper.ts',
+      '/hls_clips/static/closer.ts'
+    ]);
+  });
+
+  await t.test('replays the same clips from the work seed URL', async () => {
+    const { playlistUrl, seedUrl } = await (await request('POST', '/works/not-a-book/generate', { seed: 'replay' })).json();
+    const strip = (body) => body.split('\n').filter(line => !line.startsWith('#')).join('\n');
+
+    const session = await (await request('GET', playlistUrl)).text();
+    const replay = await (await request('GET', seedUrl)).text();
+    assert.strictEqual(strip(replay), strip(session));
+  });
+
+  await t.test('/generate performs the default work', async () => {
+    const result = await (await request('POST', '/generate', {})).json();
+
+    assert.strictEqual(result.work, 'history');
+    assert.strictEqual(result.stats.totalTokens, 8);
+    assert.strictEqual(result.seedUrl, `/seed/${result.seed}.m3u8`);
+  });
+
+  await t.test('returns 404 for unknown works', async () => {
+    const res = await request('POST', '/works/nope/generate', {});
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual((await res.json()).code, 'WORK_NOT_FOUND');
+  });
+});
+
+test('POST /works/:slug/analyze reports coverage of the work text', async () => {
+  const report = await (await request('POST', '/works/not-a-book/analyze', {})).json();
+  assert.strictEqual(report.summary.totalTokens, 7);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tokenizer
+ * JS port of the manifest pipeline's normalizer. It must reproduce the manifest's
+ * fixedTokens from fixedText exactly (see test/tokenizer.test.js), because phrase
+ * and static clip keys are built from those tokens.
+ */
+
+// Characters removed outright
+const INVISIBLE_CHARACTERS = /[\ufeff\u200b\u200c\u200d\u2060\u00ad]/g;
+
+// Typographic characters mapped to the ASCII forms used in clip keys.
+// Dashes become '-', which the tokenizer treats as a word character, so
+// "fate—that" is the single token "fate-that" (as in the Python pipeline)
+// while a spaced " -- " stays a standalone token (matched to a punctuation clip).
+const CHARACTER_MAP = {
+  // Single quotes and apostrophes
+  '\u2018': "'", // ‘ LEFT SINGLE QUOTATION MARK
+  '\u2019': "'", // ’ RIGHT SINGLE QUOTATION MARK
+  '\u201a': "'", // ‚ SINGLE LOW-9 QUOTATION MARK
+  '\u201b': "'", // ‛ SINGLE HIGH-REVERSED-9 QUOTATION MARK
+  '\u2039': "'", // ‹ SINGLE LEFT-POINTING ANGLE QUOTATION MARK
+  '\u203a': "'", // › SINGLE RIGHT-POINTING ANGLE QUOTATION MARK
+  '\u2032': "'", // ′ PRIME
+  '\u0060': "'", // ` GRAVE ACCENT
+  '\u00b4': "'", // ´ ACUTE ACCENT
+  '\u02bc': "'", // ʼ MODIFIER LETTER APOSTROPHE
+
+  // Double quotes
+  '\u201c': '"', // “ LEFT DOUBLE QUOTATION MARK
+  '\u201d': '"', // ” RIGHT DOUBLE QUOTATION MARK
+  '\u201e': '"', // „ DOUBLE LOW-9 QUOTATION MARK
+  '\u201f': '"', // ‟ DOUBLE HIGH-REVERSED-9 QUOTATION MARK
+  '\u00ab': '"', // « LEFT-POINTING DOUBLE ANGLE QUOTATION MARK
+  '\u00bb': '"', // » RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK
+  '\u2033': '"', // ″ DOUBLE PRIME
+
+  // Dashes and hyphens
+  '\u2010': '-', // ‐ HYPHEN
+  '\u2011': '-', // ‑ NON-BREAKING HYPHEN
+  '\u2012': '-', // ‒ FIGURE DASH
+  '\u2013': '-', // – EN DASH
+  '\u2014': '-', // — EM DASH
+  '\u2015': '-', // ― HORIZONTAL BAR
+  '\u2212': '-', // − MINUS SIGN
+
+  // Other punctuation
+  '\u2026': '...', // … HORIZONTAL ELLIPSIS
+  '\u00a0': ' ' // NO-BREAK SPACE
+};
+
+/**
+ * Strip invisible characters and map typographic punctuation to ASCII
+ */
+function normalizeCharacters(text) {
+  text = text.replace(INVISIBLE_CHARACTERS, '');
+
+  for (const [oldChar, newChar] of Object.entries(CHARACTER_MAP)) {
+    text = text.replaceAll(oldChar, newChar);
+  }
+
+  return text;
+}
+
+/**
+ * Normalize text and split it into word and punctuation tokens
+ */
+function normalizeAndTokenize(text) {
+  text = normalizeCharacters(text);
+
+  // Remove diacritics
+  text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+  // Convert to lowercase
+  text = text.toLowerCase();
+
+  // Tokenize: words (including apostrophes and hyphens) OR punctuation
+  return text.match(/[\w'-]+|[^\w\s'-]/g) || [];
+}
+
+/**
+ * Token indices where a paragraph (text after a blank line) begins, excluding the first
+ * Tokens never span whitespace, so counting paragraph by paragraph lines up with
+ * normalizeAndTokenize on the whole text.
+ */
+function paragraphBreaks(text) {
+  const breaks = [];
+  let position = 0;
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const count = normalizeAndTokenize(paragraph).length;
+    if (position > 0 && count > 0) {
+      breaks.push(position);
+    }
+    position += count;
+  }
+
+  return breaks;
+}
+
+module.exports = {
+  CHARACTER_MAP,
+  normalizeCharacters,
+  normalizeAndTokenize,
+  paragraphBreaks
+};
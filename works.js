@@ -0,0 +1,148 @@
+/**
+ * Works
+ * A work is one piece the server can perform: a fixed text and its segments, voiced
+ * from a clip manifest. Several works can share one manifest (clip library).
+ *
+ * works.json:
+ *   {
+ *     "default": "lives-of-infamous-men",
+ *     "works": [
+ *       {
+ *         "slug": "lives-of-infamous-men",   // URL name, /works/{slug}/generate
+ *         "title": "The Lives of Infamous Men",
+ *         "author": "Michel Foucault",
+ *         "description": "...",              // optional
+ *         "image": "foucault.png",           // optional, landing portrait
+ *         "manifest": "clips-manifest.json", // optional, defaults to MANIFEST_PATH
+ *         "textFile": "texts/essay.txt",     // optional, or inline "text"; defaults to the manifest's fixedText
+ *         "opener": { "filename": "opener.ts", "duration": 8.08 }, // optional
+ *         "closer": null,                                         // optional, null for none
+ *         "interstitial": { "filename": "bumper.ts", "duration": 2 } // optional, at paragraph breaks
+ *       }
+ *     ]
+ *   }
+ *
+ * Paths are relative to the works file. Segments a work leaves out come from its
+ * manifest's `segments`, then from CONFIG.segments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SEGMENT_NAMES = ['opener', 'closer', 'interstitial'];
+
+/**
+ * Check one work definition, returning an error message or null
+ */
+function validateWork(work, index) {
+  const where = work && typeof work.slug === 'string' ? `work "${work.slug}"` : `works[${index}]`;
+
+  if (!work || typeof work !== 'object' || Array.isArray(work)) {
+    return `${where} must be an object`;
+  }
+  if (typeof work.slug !== 'string' || !SLUG_PATTERN.test(work.slug)) {
+    return `${where}: slug must be lowercase letters, digits and "-"`;
+  }
+  if (typeof work.title !== 'string' || !work.title.trim()) {
+    return `${where}: title is required`;
+  }
+  for (const key of ['author', 'description', 'image', 'manifest', 'textFile', 'text']) {
+    if (work[key] !== undefined && typeof work[key] !== 'string') {
+      return `${where}: ${key} must be a string`;
+    }
+  }
+  if (work.text !== undefined && work.textFile !== undefined) {
+    return `${where}: give text or textFile, not both`;
+  }
+  for (const name of SEGMENT_NAMES) {
+    if (work[name] === undefined || work[name] === null) {
+      continue;
+    }
+    const { filename, duration } = work[name];
+    if (typeof filename !== 'string' || !filename || typeof duration !== 'number' || !(duration > 0)) {
+      return `${where}: ${name} must be null or have a filename and a positive duration`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load the works file
+ * Returns { defaultSlug, works }, with manifest and text files resolved. A work's segments
+ * only hold what it sets itself. Without a works file there is a single work, "default",
+ * performing the manifest's fixed text.
+ * Throws on an invalid file.
+ */
+function loadWorks(worksPath, { manifestPath }) {
+  if (!fs.existsSync(worksPath)) {
+    return {
+      defaultSlug: 'default',
+      works: [{
+        slug: 'default',
+        title: 'Untitled',
+        author: null,
+        description: null,
+        image: null,
+        manifestPath,
+        text: null,
+        segments: {}
+      }]
+    };
+  }
+
+  const config = JSON.parse(fs.readFileSync(worksPath, 'utf8'));
+  const baseDir = path.dirname(worksPath);
+
+  if (!Array.isArray(config.works) || config.works.length === 0) {
+    throw new Error(`${worksPath}: works must be a non-empty array`);
+  }
+
+  const works = config.works.map((work, index) => {
+    const error = validateWork(work, index);
+    if (error) {
+      throw new Error(`${worksPath}: ${error}`);
+    }
+
+    let text = work.text ?? null;
+    if (work.textFile) {
+      text = fs.readFileSync(path.resolve(baseDir, work.textFile), 'utf8');
+    }
+
+    const segments = {};
+    for (const name of SEGMENT_NAMES) {
+      if (work[name] !== undefined) {
+        segments[name] = work[name];
+      }
+    }
+
+    return {
+      slug: work.slug,
+      title: work.title,
+      author: work.author ?? null,
+      description: work.description ?? null,
+      image: work.image ?? null,
+      manifestPath: work.manifest ? path.resolve(baseDir, work.manifest) : manifestPath,
+      text,
+      segments
+    };
+  });
+
+  const slugs = works.map(work => work.slug);
+  const duplicate = slugs.find((slug, i) => slugs.indexOf(slug) !== i);
+  if (duplicate) {
+    throw new Error(`${worksPath}: duplicate slug "${duplicate}"`);
+  }
+
+  const defaultSlug = config.default ?? slugs[0];
+  if (!slugs.includes(defaultSlug)) {
+    throw new Error(`${worksPath}: default work "${defaultSlug}" is not defined`);
+  }
+
+  return { defaultSlug, works };
+}
+
+module.exports = {
+  loadWorks
+};